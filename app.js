@@ -2,6 +2,23 @@
 
 async function start() {
   require('./util/runtime').applyCliOverrides();
+
+  // 集群模式的主进程不会加载 server.js，在此读取 .env，以便 KUGOU_API_WORKERS 等配置生效
+  const envPath = require('node:path').join(process.cwd(), '.env');
+  if (require('node:fs').existsSync(envPath)) {
+    require('dotenv').config({ path: envPath, quiet: true });
+  }
+
+  // 集群模式下主进程只负责启动 worker 与维护共享状态，由 worker 提供服务
+  const cluster = require('node:cluster');
+  const { clusterWorkers, startPrimary } = require('./util/cluster');
+  const workers = clusterWorkers();
+  // cluster.isPrimary 在 Node 16 才加入，之前为 isMaster
+  if (workers && (cluster.isPrimary ?? cluster.isMaster)) {
+    await startPrimary(workers);
+    return;
+  }
+
   require('./server').startService();
 }
 
@@ -4,7 +4,8 @@ export type ExpressExtension = { server?: import('http').Server };
 
 export type UseAxios = (config: UseAxiosRequestConfig) => Promise<UseAxiosResponse>;
 export type UseModuleParams<T = any> = Record<string, T> & { cookie?: Record<string, string> };
-export type UseModule = (req: UseModuleParams, useAxios: UseAxios) => Promise<UseAxiosResponse>;
+export type CachePolicy = { ttl?: string | number; bypass?: boolean; vary?: Array<'userid' | 'token' | 'platform'>; invalidates?: string[] };
+export type UseModule = ((req: UseModuleParams, useAxios: UseAxios) => Promise<UseAxiosResponse>) & { cache?: CachePolicy };
 
 export type ModuleDefinition = { identifier?: string; route: string; module: UseModule };
 export type EncryptType = 'android' | 'web' | 'register';
@@ -21,9 +22,13 @@ export interface UseAxiosRequestConfig<T = any> {
   clearDefaultParams?: boolean;
   ip?: string;
   realIP?: string;
+  proxy?: string;
+  idempotent?: boolean;
 }
 
-export type APIBaseResponse = { data: any; errcode: number; status: number; error: string; [index: string]: unknown };
+export type ErrorClass = 'network' | 'upstream_5xx' | 'auth_expired' | 'risk_control' | 'rate_limited' | 'business';
+
+export type APIBaseResponse = { data: any; errcode: number; status: number; error: string; error_class?: ErrorClass; [index: string]: unknown };
 
 export interface UseAxiosResponse<T = APIBaseResponse> {
   status: number;
@@ -171,9 +176,66 @@ export function search_lyric(params: { keyword: string; album_audio_id?: string
 export function search_lyric(params: { hash: string; album_audio_id?: string | number } & RequestBaseConfig): Promise<UseAxiosResponse>;
 
 export function lyric(
-  params: { id: string | number; accesskey: string; fmt?: 'lrc' | 'krc'; decode?: boolean } & RequestBaseConfig
+  params: {
+    id: string | number;
+    accesskey: string;
+    fmt?: 'lrc' | 'krc';
+    decode?: boolean;
+    parse?: boolean;
+    format?: LyricFormat;
+    translation?: boolean;
+    romanization?: boolean;
+  } & RequestBaseConfig
+): Promise<UseAxiosResponse>;
+
+export function lyric_auto(
+  params: ({ hash: string } | { album_audio_id: string | number } | { title: string; artist?: string } | { keywords: string }) & {
+    duration?: number;
+    fmt?: 'lrc' | 'krc';
+    parse?: boolean;
+    format?: LyricFormat;
+    translation?: boolean;
+    romanization?: boolean;
+  } & RequestBaseConfig
 ): Promise<UseAxiosResponse>;
 
+export type LyricWord = { start: number; duration: number; text: string; romanization?: string };
+export type LyricLine = { start: number; duration: number; text: string; words: LyricWord[]; translation?: string; romanization?: string };
+export type LyricTags = {
+  ti?: string;
+  ar?: string;
+  al?: string;
+  by?: string;
+  offset?: number;
+  language?: string;
+  [key: string]: string | number | undefined;
+};
+export type ParsedLyric = { tags: LyricTags; lines: LyricLine[] };
+
+export type LyricFormat = 'lrc' | 'elrc' | 'srt' | 'vtt' | 'ttml';
+
+export const LYRIC_FORMATS: LyricFormat[];
+
+export function parseKrc(text: string): ParsedLyric;
+
+export function parseLrc(text: string): ParsedLyric;
+
+export type FormatLyricOptions = { translation?: boolean; romanization?: boolean };
+
+export function decodeLanguageTag(value: string): { translation: string[][] | null; romanization: string[][] | null };
+
+export function formatLyric(lyric: string | ParsedLyric, format: LyricFormat, options?: FormatLyricOptions): string;
+
+export function encodeLanguageTag(lines: LyricLine[]): string;
+
+export function stringifyKrc(lyric: ParsedLyric): string;
+
+export function decodeLyrics(val: string | Uint8Array | Buffer): string;
+
+export function encodeLyrics(val: string | ParsedLyric, type?: 'base64'): string;
+
+export function encodeLyrics(val: string | ParsedLyric, type: 'buffer'): Buffer;
+
 export function playlist_tags(params?: RequestBaseConfig): Promise<UseAxiosResponse>;
 
 export enum TopPlaylistCategory {
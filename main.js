@@ -1,6 +1,7 @@
 const fs = require('node:fs');
 const path = require('path');
-const { cookieToJson } = require('./util');
+const { cookieToJson, decodeLyrics, encodeLyrics } = require('./util');
+const { withPlatform } = require('./util/platform');
 
 /** @type {Record<string, any>} */
 let obj = {};
@@ -13,15 +14,20 @@ fs.readdirSync(path.join(__dirname, 'module'))
     let fn = file.split('.').shift() || '';
     obj[fn] = (data = {}) => {
       if (typeof data.cookie === 'string') data.cookie = cookieToJson(data.cookie);
-      return fileModule({ ...data, cookie: data.cookie ? data.cookie : {} }, (...args) => {
-        const { createRequest } = require('./util/request');
-        return createRequest(...args);
-      });
+      // 直接调用时通过 cookie.KUGOU_API_PLATFORM 指定平台
+      return withPlatform(data.cookie?.KUGOU_API_PLATFORM, () =>
+        fileModule({ ...data, cookie: data.cookie ? data.cookie : {} }, (config) => {
+          const { createRequest } = require('./util/request');
+          if (data.proxy && !config.proxy) config.proxy = data.proxy;
+          if (config.idempotent === undefined) config.idempotent = fileModule.idempotent === true;
+          return createRequest(config);
+        })
+      );
     };
   });
 
 /**
- * @type {Record<string, any> & import("./server")}
+ * @type {Record<string, any> & import("./server") & import("./util/lyric") & Pick<import("./util/util"), "decodeLyrics" | "encodeLyrics">}
  */
 
-module.exports = { ...require('./server'), ...require('./util/request'), ...obj };
+module.exports = { ...require('./server'), ...require('./util/request'), ...require('./util/lyric'), decodeLyrics, encodeLyrics, ...obj };
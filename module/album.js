@@ -1,7 +1,8 @@
-const { clientver, appid, cryptoMd5, signParamsKey } = require('../util');
+const { cryptoMd5, signParamsKey, platformConfig } = require('../util');
 
 
 module.exports = (params, useAxios) => {
+  const { clientver, appid } = platformConfig();
   const dateTime = Date.now();
   const data = (params?.album_id || '').split(',').map((s) => ({ album_id: s, album_name: '', author_name: '' }));
   const dfid = params?.cookie?.dfid || params?.dfid || '-';
@@ -32,3 +33,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'kmr.service.kugou.com', 'Content-Type': 'application/json' },
   });
 };
+module.exports.idempotent = true;
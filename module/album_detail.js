@@ -14,3 +14,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'openapi.kugou.com', 'kg-tid': '255' },
   });
 };
+module.exports.idempotent = true;
@@ -15,4 +15,5 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
     headers: { 'x-router': 'openapi.kugou.com', 'kg-tid': '255' },
   });
-}
\ No newline at end of file
+}
+module.exports.idempotent = true;
@@ -19,3 +19,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'openapi.kugou.com', 'kg-tid': 36 },
   });
 };
+module.exports.idempotent = true;
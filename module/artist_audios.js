@@ -1,7 +1,8 @@
-const { cryptoMd5, signParamsKey, clientver, appid } = require('../util');
+const { cryptoMd5, signParamsKey, platformConfig } = require('../util');
 // 获取歌手单曲
 
 module.exports = (params, useAxios) => {
+  const { clientver, appid } = platformConfig();
   const clienttime = Math.floor(new Date().getTime() / 1000);
   const mid = params?.cookie?.KUGOU_API_MID;
   const dataMap = {
@@ -27,3 +28,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'openapi.kugou.com', 'kg-tid': 220 },
   });
 };
+module.exports.idempotent = true;
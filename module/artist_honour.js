@@ -9,3 +9,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+module.exports.idempotent = true;
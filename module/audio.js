@@ -1,6 +1,7 @@
-const {  signParamsKey, appid, clientver } = require('../util');
+const { signParamsKey, platformConfig } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const dateTime = Date.now();
   const data = (params?.hash || '').split(',').map((s) => ({ hash: s, audio_id: 0 }));
   const dfid = params?.cookie?.dfid || params?.dfid || '-';
@@ -30,3 +31,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'kmr.service.kugou.com', 'Content-Type': 'application/json' },
   });
 };
+module.exports.idempotent = true;
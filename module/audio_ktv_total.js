@@ -1,6 +1,7 @@
-const { cryptoMd5, appid } = require('../util');
+const { cryptoMd5, platformConfig } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { appid } = platformConfig();
 
   const dataMap = {
     isteen: 0,
@@ -1,6 +1,7 @@
-const { appid, clientver, signParamsKey } = require('../util');
+const { signParamsKey, platformConfig } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const userid = params?.cookie?.userid || params?.userid || 0;
   const vip_type = params?.cookie?.vip_type || params?.vipType || 0;
   const dateTime = Date.now();
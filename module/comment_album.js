@@ -19,3 +19,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+module.exports.idempotent = true;
@@ -20,3 +20,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+module.exports.idempotent = true;
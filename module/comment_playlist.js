@@ -21,3 +21,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+module.exports.idempotent = true;
@@ -11,3 +11,4 @@ module.exports = (params, useAxios) => {
     headers: { pid: 126556797 },
   });
 };
+module.exports.idempotent = true;
@@ -18,3 +18,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'everydayrec.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
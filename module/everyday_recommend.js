@@ -8,3 +8,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'everydayrec.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
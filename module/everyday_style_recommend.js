@@ -12,3 +12,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+module.exports.idempotent = true;
@@ -1,5 +1,6 @@
-const { appid, clientver, cryptoMd5, signParamsKey } = require('../util');
+const { cryptoMd5, signParamsKey, platformConfig } = require('../util');
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const dateTime = Date.now();
   const userid = params?.cookie?.userid || params?.userid || 0;
   const dataMap = {
@@ -23,3 +24,7 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'fm.service.kugou.com' },
   });
 };
+
+// 电台分类基本不变，可长时间缓存
+module.exports.cache = { ttl: '6 hours' };
+module.exports.idempotent = true;
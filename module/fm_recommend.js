@@ -1,5 +1,6 @@
-const { appid, clientver, signParamsKey } = require('../util');
+const { signParamsKey, platformConfig } = require('../util');
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const dateTime = Date.now();
   const dfid = params?.cookie?.dfid || params?.dfid || '-';
   const dataMap = {
@@ -24,3 +25,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'fm.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
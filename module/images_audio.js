@@ -1,6 +1,7 @@
-const { signatureAndroidParams, appid, clientver } = require('../util');
+const { signatureAndroidParams, platformConfig } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const data = (params?.hash || '').split(',').map((s) => ({ audio_id: 0, hash: s, album_audio_id: 0, filename: '' }));
   (params?.audio_id || '').split(',').forEach((s, index) => {
     if (index <= data.length - 1) {
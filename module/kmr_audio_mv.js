@@ -1,4 +1,3 @@
-const { appid, clientver } = require('../util');
 // 根据 album_audio_id/MixSongID 获取歌曲 相对应的 mv
 module.exports = (params, useAxios) => {
   const resource = (params?.album_audio_id || '').split(',').map((s) => ({ album_audio_id: s }));
@@ -18,3 +17,4 @@ module.exports = (params, useAxios) => {
     headers: {'x-router': 'openapi.kugou.com', 'KG-TID': 38},
   });
 };
+module.exports.idempotent = true;
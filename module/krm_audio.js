@@ -16,3 +16,4 @@ module.exports = (params, useAxios) => {
     headers: {'x-router': 'openapi.kugou.com', 'KG-TID': 238},
   });
 };
+module.exports.idempotent = true;
@@ -1,7 +1,8 @@
 // 手机登录
-const { cryptoAesDecrypt, cryptoAesEncrypt, cryptoRSAEncrypt, signParamsKey, isLite, randomString } = require('../util');
+const { cryptoAesDecrypt, cryptoAesEncrypt, cryptoRSAEncrypt, signParamsKey, platformConfig, randomString } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { isLite } = platformConfig();
   const dateTime = Date.now();
   const encrypt = cryptoAesEncrypt({ mobile: params?.mobile || '', code: params?.code || '' });
   const mobile = params?.mobile && `${params.mobile.toString().substring(0, 2)}*****${params.mobile.toString().substring(10, 11)}`;
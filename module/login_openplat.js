@@ -1,10 +1,9 @@
 // 开放平台登录
 const axios = require('axios');
-const { wx_appid, wx_secret, cryptoAesDecrypt, cryptoAesEncrypt, cryptoRSAEncrypt, wx_lite_appid, wx_lite_secret, isLite } = require('../util');
-const appid = isLite ? wx_lite_appid : wx_appid;
-const secret = isLite ? wx_lite_secret : wx_secret;
+const { cryptoAesDecrypt, cryptoAesEncrypt, cryptoRSAEncrypt, platformConfig } = require('../util');
 
 const assetsToken = (code) => {
+  const { wx_appid: appid, wx_secret: secret } = platformConfig();
   return axios({
     url: 'https://api.weixin.qq.com/sns/oauth2/access_token',
     method: 'POST',
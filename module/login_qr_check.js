@@ -1,8 +1,9 @@
-const { srcappid, appid } = require('../util');
+const { srcappid, platformConfig } = require('../util');
 
 // 酷狗二维码状态检测
 // 0 为二维码过期，1 为等待扫码，2 为待确认，4 为授权登录成功（4 状态码下会返回 token）
 module.exports = (params, useAxios) => {
+  const { appid } = platformConfig();
   return new Promise((resolve, reject) => {
     useAxios({
       baseURL: 'https://login-user.kugou.com',
@@ -1,7 +1,8 @@
-const { srcappid, appid } = require('../util');
+const { srcappid, platformConfig } = require('../util');
 
 // 二维码 key 生成接口
 module.exports = (params, useAxios) => {
+  const { appid } = platformConfig();
   return useAxios({
     baseURL: 'https://login-user.kugou.com',
     url: '/v2/qrcode',
@@ -1,5 +1,5 @@
 // 刷新登录
-const { cryptoAesDecrypt, cryptoAesEncrypt, cryptoRSAEncrypt, isLite } = require('../util');
+const { cryptoAesDecrypt, cryptoAesEncrypt, cryptoRSAEncrypt, platformConfig } = require('../util');
 
 const key = '90b8382a1bb4ccdcf063102053fd75b8';
 const iv = 'f063102053fd75b8';
@@ -8,6 +8,7 @@ const liteKey = 'c24f74ca2820225badc01946dba4fdf7';
 const liteIv = 'adc01946dba4fdf7';
 
 module.exports = (params, useAxios) => {
+  const { isLite } = platformConfig();
   const dateNow = Date.now();
   const token = params?.token || params?.cookie?.token || '';
   const userid = params?.userid || params?.cookie?.userid || '0';
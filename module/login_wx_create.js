@@ -1,10 +1,11 @@
 const axios = require('axios');
-const { wx_appid, wx_secret, cryptoMd5, cryptoSha1, randomString, wx_lite_appid, wx_lite_secret, isLite } = require('../util');
+const { cryptoMd5, cryptoSha1, randomString, platformConfig } = require('../util');
 
-const appid = isLite ? wx_lite_appid : wx_appid;
-const secret = isLite ? wx_lite_secret : wx_secret;
-
-const accessToken = () => {
+/**
+ * @param {string} appid
+ * @param {string} secret
+ */
+const accessToken = (appid, secret) => {
   return axios({ url: 'https://api.weixin.qq.com/cgi-bin/token', params: { appid, secret, grant_type: 'client_credential' } });
 };
 
@@ -16,10 +17,11 @@ const accessToken = () => {
 const ticket = (accessToken) => axios({ url: 'https://api.weixin.qq.com/cgi-bin/ticket/getticket', params: { access_token: accessToken, type: 2 } });
 
 module.exports = (params, useAxios) => {
+  const { wx_appid: appid, wx_secret: secret } = platformConfig();
   const answer = { status: 500, body: {}, cookie: [] };
   return new Promise(async (resolve, reject) => {
     try {
-      const accessTokenResp = await accessToken();
+      const accessTokenResp = await accessToken(appid, secret);
       if (accessTokenResp.data?.access_token) {
         const ticketResp = await ticket(accessTokenResp.data.access_token);
 
@@ -14,3 +14,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'openapi.kugou.com', 'KG-TID': '78' },
   });
 };
+module.exports.idempotent = true;
@@ -13,3 +13,4 @@ module.exports = (params, useAxios) => {
     headers: {'KG-TID': '78'}
   });
 };
+module.exports.idempotent = true;
@@ -1,5 +1,8 @@
 // 歌词获取
-const { decodeLyrics } = require('../util');
+const { LYRIC_FORMATS, decodeLyrics, formatLyric, parseKrc, parseLrc } = require('../util');
+
+// query 中的参数均为字符串，只有 true / 'true' 视为开启，避免 parse=false 等被当作开启
+const enabled = (value) => value === true || value === 'true';
 
 module.exports = (params, useAxios) => {
   const dataMap = {
@@ -11,7 +14,15 @@ module.exports = (params, useAxios) => {
     charset: 'utf8',
   };
 
+  const parse = enabled(params?.parse);
+  const options = { translation: enabled(params?.translation), romanization: enabled(params?.romanization) };
+
   return new Promise((resolve, reject) => {
+    if (params?.format && !LYRIC_FORMATS.includes(params.format)) {
+      reject({ status: 400, body: { status: 0, msg: `format 可选值为 ${LYRIC_FORMATS.join(' / ')}` }, cookie: [] });
+      return;
+    }
+
     useAxios({
 		  baseURL: 'https://lyrics.kugou.com',
 		  url: '/download',
@@ -21,9 +32,20 @@ module.exports = (params, useAxios) => {
       encryptType: 'android',
     })
       .then((res) => {
-        if (params?.decode) {
+        if (params?.decode || parse || params?.format) {
           if (res.body?.content) {
-            res.body['decodeContent'] = params?.fmt == 'lrc' || Number(res.body?.contenttype) !== 0 ? Buffer.from(res.body?.content, 'base64').toString() : decodeLyrics(res.body.content);
+            const isKrc = !(params?.fmt == 'lrc' || Number(res.body?.contenttype) !== 0);
+            res.body['decodeContent'] = isKrc ? decodeLyrics(res.body.content) : Buffer.from(res.body?.content, 'base64').toString();
+            if (parse || params?.format) {
+              // 解析为带时间的 JSON，KRC 包含逐字时间以及 [language] 标签中的翻译与音译
+              const parsed = isKrc ? parseKrc(res.body['decodeContent']) : parseLrc(res.body['decodeContent']);
+              if (parse) res.body['parsed'] = parsed;
+              if (params?.format) {
+                res.body['format'] = params.format;
+                // translation / romanization 为 true 时附加翻译、音译，如 format=lrc&translation=true 输出双语 LRC
+                res.body['formatContent'] = formatLyric(parsed, params.format, options);
+              }
+            }
             resolve(res);
             return;
           }
@@ -0,0 +1,70 @@
+// 自动获取歌词：搜索歌词并下载最匹配的一个
+const searchLyric = require('./search_lyric');
+const lyric = require('./lyric');
+const { LYRIC_FORMATS } = require('../util');
+
+// 时长相差在该范围内（毫秒）的候选视为时长匹配
+const DURATION_TOLERANCE = 3000;
+
+/**
+ * 按时长与评分排序候选歌词：时长匹配的优先，其次评分高的优先，再次时长更接近的优先
+ * @param {Record<string, any>[]} candidates /search/lyric 返回的 candidates
+ * @param {number} duration 歌曲时长（毫秒），0 表示不按时长匹配
+ */
+const rankCandidates = (candidates, duration) =>
+  candidates
+    .map((item, index) => ({ item, index, diff: duration ? Math.abs(Number(item.duration || 0) - duration) : null }))
+    .sort((a, b) => {
+      if (a.diff !== null && b.diff !== null) {
+        const matched = Number(b.diff <= DURATION_TOLERANCE) - Number(a.diff <= DURATION_TOLERANCE);
+        if (matched) return matched;
+      }
+      return Number(b.item.score || 0) - Number(a.item.score || 0) || (a.diff ?? 0) - (b.diff ?? 0) || a.index - b.index;
+    });
+
+module.exports = async (params, useAxios) => {
+  const duration = Number(params?.duration) || 0;
+  const keywords = params?.keywords || [params?.artist, params?.title].filter(Boolean).join(' - ');
+
+  if (!params?.hash && !params?.album_audio_id && !keywords) {
+    throw { status: 400, body: { status: 0, msg: '缺少 hash、album_audio_id 或 title 参数' }, cookie: [] };
+  }
+  if (params?.format && !LYRIC_FORMATS.includes(params.format)) {
+    throw { status: 400, body: { status: 0, msg: `format 可选值为 ${LYRIC_FORMATS.join(' / ')}` }, cookie: [] };
+  }
+
+  const search = await searchLyric({ ...params, keywords, duration, man: 'yes' }, useAxios);
+  const ranked = rankCandidates(Array.isArray(search.body?.candidates) ? search.body.candidates : [], duration);
+  const candidates = ranked.map(({ item, diff }) => ({
+    id: item.id,
+    accesskey: item.accesskey,
+    song: item.song,
+    singer: item.singer,
+    duration: item.duration,
+    score: item.score,
+    durationDiff: diff,
+  }));
+
+  if (!candidates.length) {
+    throw { status: 404, body: { status: 0, msg: '未找到歌词', candidates }, cookie: search.cookie || [] };
+  }
+
+  const best = candidates[0];
+  const res = await lyric(
+    {
+      cookie: params?.cookie || {},
+      client: params?.client,
+      id: best.id,
+      accesskey: best.accesskey,
+      fmt: params?.fmt || 'krc',
+      decode: true,
+      parse: params?.parse,
+      format: params?.format,
+      translation: params?.translation,
+      romanization: params?.romanization,
+    },
+    useAxios
+  );
+  res.body = { ...res.body, candidate: best, candidates };
+  return res;
+};
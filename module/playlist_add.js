@@ -31,3 +31,6 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+
+// 成功后清除当前用户的歌单列表缓存
+module.exports.cache = { invalidates: ['/user/playlist'] };
@@ -1,7 +1,8 @@
-const { playlistAesEncrypt, playlistAesDecrypt, rsaEncrypt2, signParamsKey, clientver, appid } = require('../util');
+const { playlistAesEncrypt, playlistAesDecrypt, rsaEncrypt2, signParamsKey, platformConfig } = require('../util');
 
 // 取消收藏歌单
 module.exports = (params, useAxios) => {
+  const { clientver, appid } = platformConfig();
   const answer = { status: 500, body: {}, cookie: [] };
   return new Promise(async (resolve) => {
     try {
@@ -50,3 +51,6 @@ module.exports = (params, useAxios) => {
     }
   });
 };
+
+// 成功后清除当前用户的歌单列表缓存
+module.exports.cache = { invalidates: ['/user/playlist'] };
@@ -19,4 +19,5 @@ module.exports = (params, useAxios) => {
   })
 
 
-}
\ No newline at end of file
+}
+module.exports.idempotent = true;
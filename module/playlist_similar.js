@@ -1,6 +1,7 @@
-const { appid, clientver, signParamsKey } = require('../util');
+const { signParamsKey, platformConfig } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const data = (params?.ids || '').split(',').map((s) => ({ 'global_collection_id': s }));
   const clienttime = Date.now();
 
@@ -24,3 +25,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+module.exports.idempotent = true;
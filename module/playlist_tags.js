@@ -15,3 +15,7 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+
+// 歌单分类基本不变，可长时间缓存
+module.exports.cache = { ttl: '6 hours' };
+module.exports.idempotent = true;
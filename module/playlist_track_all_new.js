@@ -24,3 +24,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'cloudlist.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
@@ -40,3 +40,6 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+
+// 成功后清除当前用户的歌单列表及歌单歌曲缓存
+module.exports.cache = { invalidates: ['/user/playlist', '/playlist/track/all', '/playlist/track/all/new'] };
@@ -24,3 +24,6 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'cloudlist.service.kugou.com' },
   });
 };
+
+// 成功后清除当前用户的歌单列表及歌单歌曲缓存
+module.exports.cache = { invalidates: ['/user/playlist', '/playlist/track/all', '/playlist/track/all/new'] };
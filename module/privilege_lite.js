@@ -1,7 +1,8 @@
 // 获取歌曲信息
-const { appid, clientver } = require('../util');
+const { platformConfig } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const resource = (params?.hash || '').split(',').map((s) => ({ type: 'audio', page_id: 0, hash: s, album_id: 0 }));
   (params?.album_id || '').split(',').forEach((s, l) => (resource[l]['album_id'] = s));
 
@@ -26,3 +27,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'media.store.kugou.com', 'Content-Type': 'application/json' },
   });
 };
+module.exports.idempotent = true;
@@ -20,3 +20,4 @@ module.exports = (params, useAxios) => {
     headers: { 'kg-tid': '369' },
   });
 };
+module.exports.idempotent = true;
@@ -15,3 +15,6 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+
+// 排行榜列表更新频率低，可长时间缓存
+module.exports.cache = { ttl: '1 hour' };
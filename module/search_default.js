@@ -1,4 +1,3 @@
-const { clientver } = require('../util');
 module.exports = (params, useAxios) => {
   const userid = params?.userid || params?.cookie?.userid || 0;
   const vip_type = params?.vip_type || params?.cookie?.vip_type || 65530;
@@ -24,3 +23,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie || {},
   });
 };
+module.exports.idempotent = true;
@@ -1,12 +1,13 @@
 // 歌词搜索
-const { appid, clientver } = require('../util');
+const { platformConfig } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const dataMap = {
     album_audio_id: params?.album_audio_id || 0,
     appid,
     clientver,
-    duration: 0,
+    duration: params?.duration || 0,
     hash: params?.hash || '',
     keyword: params?.keywords || '',
     lrctxt: 1,
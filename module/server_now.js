@@ -13,3 +13,7 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'usercenter.kugou.com' },
   });
 };
+
+// 服务器时间不缓存
+module.exports.cache = { bypass: true };
+module.exports.idempotent = true;
@@ -1,5 +1,6 @@
-const { randomString, appid, cryptoMd5 } = require('../util');
+const { randomString, cryptoMd5, platformConfig } = require('../util');
 module.exports = (params, useAxios) => {
+  const { appid } = platformConfig();
   // const quality = ['piano', 'acappella', 'subwoofer', 'ancient', 'dj', 'surnay'].includes(params.quality)
   //   ? `magic_${params?.quality}`
   //   : params.quality;
@@ -52,3 +53,7 @@ module.exports = (params, useAxios) => {
     cookie: Object.assign({}, { dfid }, params?.cookie),
   });
 };
+
+// 音乐 url 带有时效且与账户权限相关，不缓存
+module.exports.cache = { bypass: true };
+module.exports.idempotent = true;
@@ -1,6 +1,7 @@
 // 主题歌单
-const { clientver } = require('../util');
+const { platformConfig } = require('../util');
 module.exports = (params, useAxios) => {
+  const { clientver } = platformConfig();
   const dataMap = {
     platform: 'android',
     clientver,
@@ -19,3 +20,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'everydayrec.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
@@ -1,6 +1,7 @@
 // 获取主题歌单说有歌曲
-const { clientver } = require('../util');
+const { platformConfig } = require('../util');
 module.exports = (params, useAxios) => {
+  const { clientver } = platformConfig();
   const dataMap = {
     platform: 'android',
     clientver,
@@ -20,3 +21,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'everydayrec.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
@@ -38,3 +38,4 @@ module.exports = (params, useAxios) => {
       .catch((e) => reject(e));
   });
 };
+module.exports.idempotent = true;
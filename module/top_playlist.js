@@ -1,9 +1,10 @@
 // 歌单
 // categoryid 0：推荐，11292：HI-RES
 
-const { appid, clientver, signParamsKey, cryptoMd5 } = require('../util');
+const { signParamsKey, cryptoMd5, platformConfig } = require('../util');
 
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const dateTime = (Date.now() / 1000).toFixed(0);
   const specialRecommend = {
     withtag: params?.withtag || 1,
@@ -42,3 +43,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'specialrec.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
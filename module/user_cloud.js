@@ -1,5 +1,6 @@
-const { playlistAesEncrypt, playlistAesDecrypt, rsaEncrypt2, signParamsKey, clientver, appid } = require('../util');
+const { playlistAesEncrypt, playlistAesDecrypt, rsaEncrypt2, signParamsKey, platformConfig } = require('../util');
 module.exports = (params, useAxios) => {
+  const { clientver, appid } = platformConfig();
   const answer = { status: 500, body: {}, cookie: [] };
   return new Promise(async (resolve) => {
     try {
@@ -50,3 +51,4 @@ module.exports = (params, useAxios) => {
     }
   });
 };
+module.exports.idempotent = true;
@@ -25,3 +25,6 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie,
   });
 };
+
+// 云盘音乐 url 带有时效，不缓存
+module.exports.cache = { bypass: true };
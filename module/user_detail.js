@@ -22,3 +22,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'usercenter.kugou.com' },
   });
 };
+module.exports.idempotent = true;
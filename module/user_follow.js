@@ -26,3 +26,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'relationuser.kugou.com' },
   });
 };
+module.exports.idempotent = true;
@@ -16,3 +16,4 @@ module.exports = (params, useAxios) => {
   });
 
 };
+module.exports.idempotent = true;
@@ -23,3 +23,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'cloudlist.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
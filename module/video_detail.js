@@ -1,6 +1,7 @@
-const { appid, clientver, signParamsKey, cryptoMd5 } = require('../util');
+const { signParamsKey, cryptoMd5, platformConfig } = require('../util');
 // 获取视频详情
 module.exports = (params, useAxios) => {
+  const { appid, clientver } = platformConfig();
   const dfid = params?.cookie?.dfid || '-'; // 自定义
   const mid = params?.cookie?.KUGOU_API_MID; // 可以自定义
   const uuid = cryptoMd5(`${dfid}${mid}`); // 可以自定义
@@ -31,3 +32,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'kmr.service.kugou.com' },
   });
 };
+module.exports.idempotent = true;
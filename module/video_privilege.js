@@ -1,7 +1,8 @@
-const { cryptoMd5, signParamsKey, clientver, appid } = require('../util');
+const { cryptoMd5, signParamsKey, platformConfig } = require('../util');
 // 获取视频特权
 
 module.exports = (params, useAxios) => {
+  const { clientver, appid } = platformConfig();
   const dfid = params?.cookie?.dfid || '-';
   const mid = params?.cookie?.KUGOU_API_MID;
 
@@ -29,3 +30,4 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'media.store.kugou.com' },
   });
 };
+module.exports.idempotent = true;
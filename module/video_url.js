@@ -19,3 +19,6 @@ module.exports = (params, useAxios) => {
     headers: { 'x-router': 'trackermv.kugou.com' },
   });
 };
+
+// 视频 url 带有时效，不缓存
+module.exports.cache = { bypass: true };
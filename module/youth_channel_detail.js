@@ -8,3 +8,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie,
   });
 };
+module.exports.idempotent = true;
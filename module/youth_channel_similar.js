@@ -13,3 +13,4 @@ module.exports = (params, useAxios) => {
     cookie: params?.cookie,
   });
 };
+module.exports.idempotent = true;
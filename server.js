@@ -4,10 +4,53 @@ const express = require('express');
 const decode = require('safe-decode-uri-component');
 const { cookieToJson, randomNumber, randomString } = require('./util/util');
 const { createRequest } = require('./util/request');
+const { parseProxy } = require('./util/runtime');
+const { checkProxyEgress, getProxyPool, stopProxyPool } = require('./util/proxy');
+const { limiterSnapshot } = require('./util/limiter');
+const { createAccessControl, generateApiKey, hashApiKey, parseEnvApiKeys } = require('./util/access');
+const { createLogger, maskToken, redactUrl } = require('./util/logger');
+const { createReadiness } = require('./util/health');
+const { runWithContext } = require('./util/context');
+const { metricsEnabled, metricsMiddleware, recordCronRun, registry: metricsRegistry } = require('./util/metrics');
+const { runCheckIn, callModule, createAbortController } = require('./util/checkin');
+const { createAdminAuth, maskProxy } = require('./util/admin');
+const userVipDetail = require('./module/user_vip_detail');
 const dotenv = require('dotenv');
 const apicache = require('./util/apicache');
+const {
+  cacheGroup,
+  cacheKeySuffix,
+  identityKey,
+  invalidationGroups,
+  requestCookie,
+  resolveCachePolicy,
+} = require('./util/cache-policy');
+const { createSingleFlight, singleFlightEnabled, singleFlightKey } = require('./util/single-flight');
+const { normalizePlatform, resolveRequestPlatform, withPlatform } = require('./util/platform');
 const cache = apicache.middleware;
+// 请求合并标记只对本次请求有效，不写入缓存
+apicache.options({ headerBlacklist: ['x-single-flight'] });
+
+// apicache 按缓存中间件创建顺序记录命中率，这里记录每个中间件对应的路由
+/** @type {string[]} */
+const cacheRoutes = [];
+metricsRegistry.collect({
+  name: 'kugou_api_cache_requests_total',
+  help: '接口缓存命中/未命中次数',
+  type: 'counter',
+  samples: () =>
+    apicache.getPerformance().flatMap((report, index) => {
+      if (!report || !cacheRoutes[index]) return [];
+      const route = cacheRoutes[index];
+      return [
+        { labels: { route, result: 'hit' }, value: report.hitCount },
+        { labels: { route, result: 'miss' }, value: report.missCount },
+      ];
+    }),
+});
 const cron = require('node-cron');
+const { createLoginStore } = require('./util/store');
+const { broadcast, isClusterWorker, isCronWorker, onClusterEvent } = require('./util/cluster');
 
 /**
  * @typedef {{
@@ -20,21 +63,45 @@ const cron = require('node-cron');
 /**
  * @typedef {{
  *  server?: import('http').Server,
+ *  service?: import('http').Server,
+ *  shutdown?: () => Promise<void>,
  * }} ExpressExtension
  */
 
 const mid = randomNumber(39).toString();
 const serverDev = randomString(10).toUpperCase();
 
-// 内存存储登录信息和定时任务状态
-const loginStore = {};
-const cronJobs = {};
-
 const envPath = path.join(process.cwd(), '.env');
 if (fs.existsSync(envPath)) {
   dotenv.config({ path: envPath, quiet: true });
 }
 
+const cronLog = createLogger('Cron');
+const loginLog = createLogger('Login');
+const cacheLog = createLogger('Cache');
+const accessLog = createLogger('Access');
+const requestLog = createLogger('Request');
+
+// 登录信息持久化存储（默认 JSON 文件），定时任务实例仅存在于内存中，启动时根据存储重新创建
+// 集群模式下存储由主进程维护，定时任务只在负责定时任务的 worker 中创建
+// 在 consturctServer 中创建，作为库引用时不会读写存储
+/** @type {ReturnType<typeof createLoginStore>} */
+let loginStore;
+const cronJobs = {};
+// 定时任务实例对应的 cron 表达式，存储中的记录变化时据此判断是否需要重新创建
+/** @type {Record<string, string>} */
+const cronTimes = {};
+// 进行中的签到，服务停止时中断
+/** @type {Set<{ id: string, userid: string | number, trigger: string, controller: { abort: () => void }, promise: Promise<any> }>} */
+const runningCheckIns = new Set();
+// 进行中的请求数，服务停止时等待其完成
+let inflightRequests = 0;
+let shuttingDown = false;
+// 连接及其是否有进行中的请求，仅在 Node 18.2 之前使用
+/** @type {Map<import('net').Socket, boolean>} */
+const connections = new Map();
+const DEFAULT_SHUTDOWN_TIMEOUT = 8000;
+
 /**
  *  描述：动态获取模块定义
  * @param {string}  modulesPath  模块路径(TS)
@@ -60,6 +127,168 @@ async function getModulesDefinitions(modulesPath, specificRoute, doRequire = tru
     });
 }
 
+/**
+ * 签到任务不经过 HTTP 请求，使用与服务相同的设备信息
+ * @returns {Record<string, string>}
+ */
+function deviceCookie() {
+  return {
+    KUGOU_API_MID: process.env.KUGOU_API_MID ?? mid,
+    KUGOU_API_DEV: (process.env.KUGOU_API_DEV ?? serverDev).toUpperCase(),
+  };
+}
+
+/**
+ * 账户登录时所用平台，未记录时使用服务默认平台
+ * @param {{ platform?: string }} login
+ * @returns {Record<string, string>}
+ */
+function loginPlatformCookie(login) {
+  return login.platform ? { KUGOU_API_PLATFORM: login.platform } : {};
+}
+
+/**
+ * 模块请求使用的代理：设置 KUGOU_API_REQUEST_PROXY=true 后 query/body 中的 proxy 参数优先，
+ * 其次为 cookie 中 userid 对应账户保存的代理，仅在 cookie 中的 token 与保存的 token 一致时使用
+ * @param {Record<string, any>} query 模块参数
+ * @returns {string | undefined}
+ */
+function moduleProxy(query) {
+  const requested = query.proxy || query.body?.proxy;
+  if (requested && process.env.KUGOU_API_REQUEST_PROXY === 'true') return String(requested);
+  const { userid, token } = query.cookie || {};
+  const login = userid && token ? loginStore.getLogin(userid) : undefined;
+  return (login && login.token === String(token) && login.proxy) || undefined;
+}
+
+/**
+ * 账户信息返回给管理接口前脱敏
+ * @param {import('./util/store').LoginRecord} item
+ * @param {boolean} reveal 是否返回完整 token 与代理地址
+ */
+function loginView(item, reveal) {
+  return reveal ? item : { ...item, token: maskToken(item.token), ...(item.proxy ? { proxy: maskProxy(item.proxy) } : {}) };
+}
+
+/**
+ * 执行签到并记录到执行记录中
+ * @param {{ userid: string | number, token: string, platform?: string, proxy?: string }} login
+ * @param {'cron' | 'manual'} trigger 触发方式
+ * @param {string} [id] 执行记录 id，默认按当前时间生成
+ * @returns {Promise<import('./util/store').RunRecord>}
+ */
+function executeCheckIn(login, trigger, id = `${Date.now()}-${randomString(6)}`) {
+  const controller = createAbortController();
+  const promise = (async () => {
+    const result = await runCheckIn(login, {
+      cookie: { ...deviceCookie(), ...loginPlatformCookie(login) },
+      proxy: login.proxy,
+      signal: controller.signal,
+    });
+    const record = { id, trigger, ...result };
+    recordCronRun(trigger, result.status);
+    await loginStore.addHistory(login.userid, record);
+    return record;
+  })();
+
+  const run = { id, userid: login.userid, trigger, controller, promise };
+  runningCheckIns.add(run);
+  return promise.finally(() => runningCheckIns.delete(run));
+}
+
+/**
+ * 为用户创建签到定时任务（已有任务时先停止）
+ * @param {string | number} userid
+ * @param {string} time cron 表达式
+ */
+function scheduleAutoCron(userid, time) {
+  // 如果已有定时任务则停止
+  stopCronJob(userid);
+
+  const job = cron.schedule(
+    time,
+    async () => {
+      const login = loginStore.getLogin(userid);
+      if (!login) {
+        cronLog.warn('未找到登录信息', { userid });
+        return;
+      }
+      const result = await executeCheckIn(login, 'cron');
+      cronLog.info('自动签到结束', { userid, status: result.status, vipClaimed: result.vipClaimed });
+    },
+    { noOverlap: true }
+  );
+
+  cronLog.debug('任务已创建', { userid, running: job.runner ? job.runner.running : 'unknown' });
+
+  cronJobs[userid] = job;
+  cronTimes[userid] = time;
+  return job;
+}
+
+/**
+ * 停止用户的定时任务实例（存储中的记录不变）
+ * @param {string | number} userid
+ */
+function stopCronJob(userid) {
+  if (!cronJobs[userid]) return;
+  cronJobs[userid].stop();
+  delete cronJobs[userid];
+  delete cronTimes[userid];
+}
+
+/**
+ * 根据存储中的记录创建、更新或停止定时任务，启动时与存储变化后调用
+ * 集群模式下只有负责定时任务的 worker 创建任务实例，其他 worker 只修改存储
+ */
+function syncCronJobs() {
+  if (!isCronWorker()) return;
+  const crons = loginStore.listCrons();
+  Object.keys(cronJobs).forEach((userid) => {
+    if (!crons[userid]) stopCronJob(userid);
+  });
+  Object.keys(crons).forEach((userid) => {
+    if (cronJobs[userid] && cronTimes[userid] === crons[userid].time) return;
+    if (!loginStore.getLogin(userid) || !cron.validate(crons[userid].time)) {
+      cronLog.warn('跳过无效的定时任务', { userid });
+      return;
+    }
+    scheduleAutoCron(userid, crons[userid].time);
+    cronLog.info('已恢复定时任务', { userid, time: crons[userid].time });
+  });
+}
+
+/**
+ * 在本进程中清除缓存
+ * @param {{ all?: boolean, match?: string, groups?: string[] }} target all 清除全部，match 清除 key 包含该字符串的缓存，groups 清除指定分组
+ * @returns {string[]} 被清除的 key 或分组
+ */
+function applyCacheClear(target) {
+  if (target.all) {
+    apicache.clear();
+    return [];
+  }
+  if (target.match) {
+    const idx = apicache.getIndex();
+    const keys = ((idx && idx.all) || []).filter((k) => k.includes(/** @type {string} */ (target.match)));
+    keys.forEach((k) => apicache.clear(k));
+    return keys;
+  }
+  const groups = (target.groups || []).filter((group) => apicache.getIndex(group));
+  groups.forEach((group) => apicache.clear(group));
+  return groups;
+}
+
+/**
+ * 清除缓存，集群模式下同时通知其他 worker 清除
+ * @param {{ all?: boolean, match?: string, groups?: string[] }} target
+ * @returns {string[]} 本进程中被清除的 key 或分组
+ */
+function clearCache(target) {
+  broadcast('cache:clear', target);
+  return applyCacheClear(target);
+}
+
 /**
  * 创建服务
  * @param {ModuleDefinition[]} moduleDefs
@@ -68,8 +297,26 @@ async function getModulesDefinitions(modulesPath, specificRoute, doRequire = tru
 async function consturctServer(moduleDefs) {
   const app = express();
   const { CORS_ALLOW_ORIGIN } = process.env;
+
+  // 加载已保存的账户并恢复其定时任务
+  if (!loginStore) loginStore = createLoginStore(isClusterWorker() ? { backend: 'cluster' } : {});
+  await loginStore.load();
+  syncCronJobs();
+  loginStore.onChange(syncCronJobs);
+  onClusterEvent('cache:clear', applyCacheClear);
   app.set('trust proxy', true);
 
+  // 记录进行中的请求数，服务停止期间的新请求（复用已有连接发来的）直接返回 503
+  app.use((req, res, next) => {
+    if (shuttingDown) {
+      res.set('Connection', 'close');
+      return res.status(503).json({ status: 0, code: 503, msg: '服务正在停止' });
+    }
+    inflightRequests++;
+    res.once('close', () => inflightRequests--);
+    next();
+  });
+
   /**
    * CORS & Preflight request
    */
@@ -78,7 +325,7 @@ async function consturctServer(moduleDefs) {
       res.set({
         'Access-Control-Allow-Credentials': true,
         'Access-Control-Allow-Origin': CORS_ALLOW_ORIGIN || req.headers.origin || '*',
-        'Access-Control-Allow-Headers': 'Authorization,X-Requested-With,Content-Type,Cache-Control',
+        'Access-Control-Allow-Headers': 'Authorization,X-Requested-With,Content-Type,Cache-Control,X-Admin-Secret,X-Kugou-Platform,X-API-Key,X-Request-Id',
         'Access-Control-Allow-Methods': 'PUT,POST,GET,DELETE,OPTIONS',
         'Content-Type': 'application/json; charset=utf-8',
       });
@@ -99,7 +346,7 @@ async function consturctServer(moduleDefs) {
     next();
   });
 
-  // 将当前平台写入Cookie 以方便查看
+  // 写入设备信息 Cookie
   app.use((req, res, next) => {
     const cookieArr = (req.headers.cookie || '').split(/;\s+|(?<!\s)\s+$/g);
     let cookies = {};
@@ -108,14 +355,6 @@ async function consturctServer(moduleDefs) {
       cookies[arr[0]] = arr[1];
     });
 
-    if (!cookies.hasOwnProperty('KUGOU_API_PLATFORM')) {
-      if (req.protocol === 'https') {
-        res.append('Set-Cookie', `KUGOU_API_PLATFORM=${process.env.platform}; PATH=/; SameSite=None; Secure`);
-      } else {
-        res.append('Set-Cookie', `KUGOU_API_PLATFORM=${process.env.platform}; PATH=/`);
-      }
-    }
-
     if (req.protocol === 'https') {
       if (!cookies.hasOwnProperty('KUGOU_API_MID'))
         res.append('Set-Cookie', `KUGOU_API_MID=${process.env.KUGOU_API_MID ?? mid}; PATH=/; SameSite=None; Secure`);
@@ -134,6 +373,22 @@ async function consturctServer(moduleDefs) {
   app.use(express.json());
   app.use(express.urlencoded({ extended: false }));
 
+  // 请求 ID：沿用调用方传入的 X-Request-Id，否则生成新的，写入请求上下文后日志（包括 createRequest 中的日志）会带上该 ID
+  app.use((req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : randomString(16).toLowerCase();
+    res.set('X-Request-Id', requestId);
+    runWithContext({ requestId }, next);
+  });
+
+  // 按请求选择平台（query / X-Kugou-Platform / Cookie KUGOU_API_PLATFORM），并通过响应头返回实际使用的平台
+  // 需在 body parser 之后，保证后续中间件与模块都运行在该请求的上下文中
+  app.use((req, res, next) => {
+    const platform = resolveRequestPlatform(req, requestCookie(req));
+    res.set('X-Kugou-Platform', platform);
+    withPlatform(platform, next);
+  });
+
   /**
    * Serving static files
    */
@@ -145,14 +400,21 @@ async function consturctServer(moduleDefs) {
 
   app.use('/docs', express.static(path.join(__dirname, 'docs')));
 
-  // Cache
-  app.use(cache('2 minutes', (_, res) => res.statusCode === 200));
-
   /**
    * 登录信息管理 API
    */
-  // 保存登录信息到内存
-  app.post('/api/saveLogin', express.json(), (req, res) => {
+  const adminAuth = createAdminAuth();
+  app.use('/api', adminAuth);
+
+  // Prometheus 指标，与管理接口使用相同的鉴权（Prometheus 可通过 authorization.credentials 配置管理密钥）
+  if (metricsEnabled()) {
+    app.get('/metrics', adminAuth, (req, res) => {
+      res.type('text/plain; version=0.0.4; charset=utf-8').send(metricsRegistry.render());
+    });
+  }
+
+  // 保存登录信息到存储
+  app.post('/api/saveLogin', express.json(), async (req, res) => {
     const start = process.hrtime.bigint();
     const { userid, token } = req.body;
     if (!userid || !token) {
@@ -160,55 +422,74 @@ async function consturctServer(moduleDefs) {
       res.set('X-Elapsed-Ms', String(elapsedMs.toFixed(3)));
       return res.json({ status: 0, msg: '缺少userid或token' });
     }
-    
-    loginStore[userid] = { userid, token, savedAt: new Date() };
+
+    // 记录登录所用平台与代理，签到等后台任务按该平台、通过该代理调用；未传入时保留已保存的设置
+    const existing = loginStore.getLogin(userid) || {};
+    const platform = normalizePlatform(req.body.platform) || existing.platform;
+    const proxy = req.body.proxy ?? existing.proxy;
+    if (proxy) {
+      try {
+        parseProxy(proxy);
+      } catch (e) {
+        return res.json({ status: 0, msg: `代理地址无效: ${e.message}` });
+      }
+    }
+    await loginStore.saveLogin({ userid, token, ...(platform ? { platform } : {}), ...(proxy ? { proxy } : {}), savedAt: new Date() });
     const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
-    console.log(`[Login] 保存登录信息: userid=${userid} (elapsed: ${elapsedMs.toFixed(3)}ms)`);
+    loginLog.info('保存登录信息', { userid, elapsedMs: Number(elapsedMs.toFixed(3)) });
 
     // 清理缓存，确保 /api/getLogins 立刻返回最新数据
     try {
-      apicache.clear();
-      console.log('[Cache] apicache cleared after saveLogin');
+      clearCache({ all: true });
+      cacheLog.info('apicache cleared after saveLogin');
     } catch (e) {
-      console.warn('[Cache] 清理缓存失败:', e.message);
+      cacheLog.warn('清理缓存失败', { error: e });
     }
 
-    // 调试：打印完整的 loginStore 及当前进程PID
-    try {
-      console.log('[Login] 当前 loginStore:', JSON.stringify(loginStore));
-    } catch (e) {
-      console.log('[Login] 当前 loginStore (stringify failed)');
-    }
-    console.log(`[Login] 处理进程 PID: ${process.pid}`);
     // 返回时带上耗时和进程ID，便于前端比对
     res.set('X-Elapsed-Ms', String(elapsedMs.toFixed(3)));
     res.set('X-PID', String(process.pid));
-    res.json({ status: 1, msg: '登录信息已保存到服务器内存', elapsedMs, pid: process.pid });
+    res.json({ status: 1, msg: '登录信息已保存到服务器', elapsedMs, pid: process.pid });
   });
 
-  // 获取所有已保存的登录信息
+  // 获取所有已保存的登录信息，token 默认脱敏，传入 reveal=true 返回完整 token
   app.get('/api/getLogins', (req, res) => {
     const start = process.hrtime.bigint();
-    const logins = Object.values(loginStore).map(item => ({
-      userid: item.userid,
-      token: item.token,
-      savedAt: item.savedAt
-    }));
+    const reveal = req.query.reveal === 'true';
+    const logins = loginStore.listLogins().map((item) => {
+      const view = loginView(item, reveal);
+      return { userid: view.userid, token: view.token, platform: view.platform, proxy: view.proxy, savedAt: view.savedAt };
+    });
     const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
-    console.log(`[Login] 返回登录列表 (count=${logins.length}, elapsed: ${elapsedMs.toFixed(3)}ms)`);
-    // 调试：打印当前 loginStore 与处理进程 PID
-    try {
-      console.log('[Login] 当前 loginStore:', JSON.stringify(loginStore));
-    } catch (e) {
-      console.log('[Login] 当前 loginStore (stringify failed)');
-    }
-    console.log(`[Login] 处理进程 PID: ${process.pid}`);
+    loginLog.info('返回登录列表', { count: logins.length, elapsedMs: Number(elapsedMs.toFixed(3)) });
 
     res.set('X-Elapsed-Ms', String(elapsedMs.toFixed(3)));
     res.set('X-PID', String(process.pid));
     res.json({ status: 1, data: logins, elapsedMs, pid: process.pid });
   });
 
+  // 设置账户使用的代理，proxy 为空时改为使用全局代理
+  app.post('/api/setLoginProxy', express.json(), async (req, res) => {
+    const { userid, proxy } = req.body || {};
+    const login = userid && loginStore.getLogin(userid);
+    if (!login) {
+      return res.json({ status: 0, msg: '用户不存在或未登录' });
+    }
+
+    if (proxy) {
+      try {
+        parseProxy(proxy);
+      } catch (e) {
+        return res.json({ status: 0, msg: `代理地址无效: ${e.message}` });
+      }
+    }
+
+    const { proxy: _, ...rest } = login;
+    await loginStore.saveLogin(proxy ? { ...rest, proxy } : rest);
+    loginLog.info('更新账户代理', { userid, proxy: proxy ? maskProxy(proxy) : '(全局)' });
+    res.json({ status: 1, msg: proxy ? '代理已设置' : '已改为使用全局代理' });
+  });
+
   // 手动清除缓存（支持可选 body.target 来只清除包含该路径的缓存 key）
   app.post('/api/clearCache', express.json(), (req, res) => {
     const { target } = req.body || {};
@@ -216,50 +497,52 @@ async function consturctServer(moduleDefs) {
       const idx = apicache.getIndex();
       const allKeys = (idx && idx.all) || [];
       if (!target) {
-        apicache.clear();
-        console.log('[Cache] 全部缓存已被清除 (manual)');
+        clearCache({ all: true });
+        cacheLog.info('全部缓存已被清除 (manual)');
         return res.json({ status: 1, msg: '已清空所有缓存', cleared: 'all' });
       }
 
-      const keys = allKeys.filter(k => k.includes(target));
+      const keys = clearCache({ match: target });
       keys.forEach(k => {
-        apicache.clear(k);
-        console.log('[Cache] cleared key', k);
+        cacheLog.info('cleared key', { key: k });
       });
       res.json({ status: 1, msg: `已清除 ${keys.length} 条缓存`, keys });
     } catch (e) {
-      console.error('[Cache] 清除缓存失败:', e);
+      cacheLog.error('清除缓存失败', { error: e });
       res.json({ status: 0, msg: e.message });
     }
   });
 
   // 删除登录信息
-  app.post('/api/deleteLogin', express.json(), (req, res) => {
+  app.post('/api/deleteLogin', express.json(), async (req, res) => {
     const { userid } = req.body;
     if (!userid) {
       return res.json({ status: 0, msg: '缺少userid' });
     }
-    
-    delete loginStore[userid];
-    console.log(`[Login] 删除登录信息: userid=${userid}`);
+
+    // 账户删除后其定时任务也不再保留
+    stopCronJob(userid);
+    await loginStore.deleteLogin(userid);
+    loginLog.info('删除登录信息', { userid });
     try {
-      apicache.clear();
-      console.log('[Cache] apicache cleared after deleteLogin');
+      clearCache({ all: true });
+      cacheLog.info('apicache cleared after deleteLogin');
     } catch (e) {
-      console.warn('[Cache] 清理缓存失败:', e.message);
+      cacheLog.warn('清理缓存失败', { error: e });
     }
     res.json({ status: 1, msg: '登录信息已删除' });
   });
 
   // 清空所有登录信息
-  app.post('/api/clearLogins', (req, res) => {
-    Object.keys(loginStore).forEach(key => delete loginStore[key]);
-    console.log('[Login] 已清空所有登录信息');
+  app.post('/api/clearLogins', async (req, res) => {
+    Object.keys(cronJobs).forEach(stopCronJob);
+    await loginStore.clearLogins();
+    loginLog.info('已清空所有登录信息');
     try {
-      apicache.clear();
-      console.log('[Cache] apicache cleared after clearAllLogins');
+      clearCache({ all: true });
+      cacheLog.info('apicache cleared after clearAllLogins');
     } catch (e) {
-      console.warn('[Cache] 清理缓存失败:', e.message);
+      cacheLog.warn('清理缓存失败', { error: e });
     }
     res.json({ status: 1, msg: '所有登录信息已清空' });
   });
@@ -267,6 +550,11 @@ async function consturctServer(moduleDefs) {
   // 获取定时任务状态
   app.get('/api/getCronStatus', (req, res) => {
     const status = {};
+    // 集群模式下任务实例可能在其他 worker 中，以存储中的记录为准
+    if (!isCronWorker()) {
+      Object.keys(loginStore.listCrons()).forEach((userid) => (status[userid] = '运行中'));
+      return res.json({ status: 1, data: status });
+    }
     for (const userid in cronJobs) {
       const job = cronJobs[userid];
       // node-cron v4 的任务对象将运行状态放在 runner.running 中，做兼容性判断
@@ -282,118 +570,240 @@ async function consturctServer(moduleDefs) {
   app.post('/api/startAutoCron', express.json(), async (req, res) => {
     const { userid, time = '0 2 * * *' } = req.body;
     
-    if (!userid || !loginStore[userid]) {
+    if (!userid || !loginStore.getLogin(userid)) {
       return res.json({ status: 0, msg: '用户不存在或未登录' });
     }
 
-    // 如果已有定时任务则停止
-    if (cronJobs[userid]) {
-      cronJobs[userid].stop();
-      delete cronJobs[userid];
+    if (!cron.validate(time)) {
+      return res.json({ status: 0, msg: 'Cron表达式格式错误' });
     }
 
-    const token = loginStore[userid].token;
-    const headers = { 'Cookie': `token=${token}; userid=${userid}` };
+    await loginStore.saveCron(userid, time);
+    syncCronJobs();
+    cronLog.info('已创建定时任务', { userid, time });
+    res.json({ status: 1, msg: `定时任务已创建，执行时间: ${time}` });
+  });
 
-    const job = cron.schedule(time, async () => {
-      console.log(`[Cron] 开始自动签到: userid=${userid}`);
-      try {
-        // 获取用户信息
-        const userRes = await createRequest({
-          url: 'http://localhost:3000/user/detail',
-          headers: headers
-        });
-        const userDetail = JSON.parse(userRes);
+  // 立即开始一次签到并返回 202 与执行记录 id，结束后可通过 /api/cronHistory 查询结果
+  // 同一账户已有手动签到在进行时返回该次签到的 id
+  app.post('/api/runCheckIn', express.json(), (req, res) => {
+    const { userid } = req.body;
+    const login = userid && loginStore.getLogin(userid);
+    if (!login) {
+      return res.json({ status: 0, msg: '用户不存在或未登录' });
+    }
 
-        if (!userDetail?.data?.nickname) {
-          console.log(`[Cron] token过期: userid=${userid}`);
-          return;
-        }
+    const running = [...runningCheckIns].find((run) => run.trigger === 'manual' && String(run.userid) === String(login.userid));
+    if (running) {
+      return res.status(202).json({ status: 1, msg: '该账户正在签到', data: { id: running.id } });
+    }
 
-        console.log(`[Cron] 用户 ${userDetail.data.nickname} 开始签到`);
+    const id = `${Date.now()}-${randomString(6)}`;
+    executeCheckIn(login, 'manual', id)
+      .then((result) => cronLog.info('手动签到结束', { userid: login.userid, status: result.status, vipClaimed: result.vipClaimed }))
+      .catch((e) => cronLog.error('手动签到出错', { userid: login.userid, error: e }));
+    res.status(202).json({ status: 1, msg: '签到已开始', data: { id } });
+  });
 
-        // 听歌领取VIP
-        const listenRes = await createRequest({
-          url: 'http://localhost:3000/youth/listen/song',
-          headers: headers
-        });
-        const listen = JSON.parse(listenRes);
-        console.log(`[Cron] 听歌结果: ${listen.status === 1 ? '成功' : '失败/已领取'}`);
-
-        // 领取VIP（循环8次）
-        for (let i = 1; i <= 8; i++) {
-          const adRes = await createRequest({
-            url: 'http://localhost:3000/youth/vip',
-            headers: headers
-          });
-          const ad = JSON.parse(adRes);
-
-          if (ad.status === 1) {
-            console.log(`[Cron] 第${i}次领取成功`);
-            if (i !== 8) {
-              const randomDelay = 30000 + Math.random() * 10000; // 随机30-40秒
-              console.log(`[Cron] 等待${(randomDelay/1000).toFixed(1)}秒后继续...`);
-              await new Promise(resolve => setTimeout(resolve, randomDelay));
-            }
-          } else if (ad.error_code === 30002) {
-            console.log(`[Cron] 今日次数已用光`);
-            break;
-          } else {
-            console.log(`[Cron] 第${i}次领取失败`);
-            break;
-          }
-        }
+  // 使用已保存的登录信息获取 VIP 详情
+  app.get('/api/vipDetail', async (req, res) => {
+    const { userid } = req.query;
+    const login = userid && loginStore.getLogin(userid);
+    if (!login) {
+      return res.json({ status: 0, msg: '用户不存在或未登录' });
+    }
 
-        // 获取VIP详情
-        const vipRes = await createRequest({
-          url: 'http://localhost:3000/user/vip/detail',
-          headers: headers
-        });
-        const vip = JSON.parse(vipRes);
-        if (vip.status === 1) {
-          console.log(`[Cron] VIP到期时间: ${vip.data.busi_vip[0].vip_end_time}`);
-        }
-      } catch (error) {
-        console.error(`[Cron] 签到出错: ${error.message}`);
-      }
-    });
+    try {
+      res.json(
+        await callModule(userVipDetail, {
+          cookie: { ...deviceCookie(), ...loginPlatformCookie(login), token: login.token, userid: login.userid },
+          proxy: login.proxy,
+        })
+      );
+    } catch (e) {
+      res.json({ status: 0, msg: e.message });
+    }
+  });
 
-    // 调试：打印任务创建后的 runner 状态，便于排查“已停止”问题
-    console.log(`[Cron] 任务创建后 runner.running: ${job.runner ? job.runner.running : 'unknown'}`);
+  // 获取签到执行记录，不传 userid 时返回所有账户
+  app.get('/api/cronHistory', (req, res) => {
+    const { userid } = req.query;
+    const limit = Number(req.query.limit) || undefined;
+    if (userid) {
+      return res.json({ status: 1, data: loginStore.listHistory(userid).slice(0, limit) });
+    }
 
-    cronJobs[userid] = job;
-    console.log(`[Cron] 已为用户 ${userid} 创建定时任务，执行时间: ${time}`);
-    res.json({ status: 1, msg: `定时任务已创建，执行时间: ${time}` });
+    const data = {};
+    Object.entries(loginStore.listAllHistory()).forEach(([key, records]) => {
+      data[key] = records.slice(0, limit);
+    });
+    res.json({ status: 1, data });
   });
 
-  app.post('/api/stopAutoCron', express.json(), (req, res) => {
+  app.post('/api/stopAutoCron', express.json(), async (req, res) => {
     const { userid } = req.body;
     
-    if (!cronJobs[userid]) {
+    if (!cronJobs[userid] && !loginStore.getCron(userid)) {
       return res.json({ status: 0, msg: '未找到该用户的定时任务' });
     }
 
-    cronJobs[userid].stop();
-    delete cronJobs[userid];
-    console.log(`[Cron] 已停止用户 ${userid} 的定时任务`);
+    stopCronJob(userid);
+    await loginStore.deleteCron(userid);
+    cronLog.info('已停止定时任务', { userid });
     res.json({ status: 1, msg: '定时任务已停止' });
   });
 
-  // 调试接口：返回原始 loginStore（包含 token），便于排查为何列表为空
-  app.get('/api/debugLogins', (req, res) => {
-    try {
-      console.log('[Debug] /api/debugLogins 被调用');
-      console.log('[Debug] loginStore Snapshot:', JSON.stringify(loginStore));
-    } catch (e) {
-      console.log('[Debug] loginStore stringify failed');
+  // 代理池状态
+  app.get('/api/proxies', (req, res) => {
+    const pool = getProxyPool();
+    const proxies = pool.snapshot();
+    res.json({
+      status: 1,
+      data: { strategy: pool.strategy, total: proxies.length, healthy: proxies.filter((item) => item.healthy).length, proxies },
+    });
+  });
+
+  // 立即探测不可用的代理
+  app.post('/api/proxies/probe', async (req, res) => {
+    const pool = getProxyPool();
+    await pool.probeUnhealthy();
+    res.json({ status: 1, data: pool.snapshot() });
+  });
+
+  // 各上游域名的限流状态：进行中、排队中的请求数以及剩余令牌
+  app.get('/api/limits', (req, res) => {
+    res.json({ status: 1, data: limiterSnapshot() });
+  });
+
+  // API Key 列表，不返回 key 本身；KUGOU_API_KEYS 中配置的 key 只读
+  app.get('/api/apiKeys', (req, res) => {
+    const keys = parseEnvApiKeys(process.env.KUGOU_API_KEYS || '')
+      .concat(loginStore.listApiKeys())
+      .map(({ hash, ...item }) => ({ source: 'store', ...item }));
+    res.json({
+      status: 1,
+      data: { required: process.env.KUGOU_API_REQUIRE_KEY === 'true', ipRateLimit: Number(process.env.KUGOU_API_IP_RATE_LIMIT) || 0, keys },
+    });
+  });
+
+  /**
+   * 校验每分钟请求数，未传入时返回 undefined（使用默认限额）
+   * @param {unknown} value
+   * @returns {number | undefined | null} 无效时返回 null
+   */
+  const parseRateLimit = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit >= 0 ? limit : null;
+  };
+
+  // 创建 API Key，完整 key 仅在此时返回
+  app.post('/api/createApiKey', express.json(), async (req, res) => {
+    const { name, rateLimit } = req.body || {};
+    const limit = parseRateLimit(rateLimit);
+    if (limit === null) return res.json({ status: 0, msg: 'rateLimit 应为非负整数（每分钟请求数）' });
+
+    const { id, key } = generateApiKey();
+    await loginStore.saveApiKey({
+      id,
+      name: name ? String(name) : id,
+      hash: hashApiKey(key),
+      ...(limit !== undefined ? { rateLimit: limit } : {}),
+      createdAt: new Date(),
+    });
+    accessLog.info('创建 API Key', { id });
+    res.json({ status: 1, msg: 'API Key 已创建，请妥善保存，之后无法再次查看', data: { id, key } });
+  });
+
+  // 修改 API Key 的名称或限额，rateLimit 传入 null 时改为使用默认限额
+  app.post('/api/updateApiKey', express.json(), async (req, res) => {
+    const { id, name, rateLimit } = req.body || {};
+    const existing = id && loginStore.listApiKeys().find((item) => item.id === id);
+    if (!existing) return res.json({ status: 0, msg: 'API Key 不存在' });
+
+    const limit = parseRateLimit(rateLimit);
+    if (limit === null) return res.json({ status: 0, msg: 'rateLimit 应为非负整数（每分钟请求数）' });
+
+    const record = { ...existing, ...(name ? { name: String(name) } : {}) };
+    if (limit !== undefined) record.rateLimit = limit;
+    else if (rateLimit !== undefined) delete record.rateLimit;
+    await loginStore.saveApiKey(record);
+    res.json({ status: 1, msg: 'API Key 已更新' });
+  });
+
+  // 删除 API Key，立即生效
+  app.post('/api/deleteApiKey', express.json(), async (req, res) => {
+    const { id } = req.body || {};
+    if (!id || !loginStore.listApiKeys().some((item) => item.id === id)) {
+      return res.json({ status: 0, msg: 'API Key 不存在' });
     }
-    res.json({ status: 1, data: loginStore, pid: process.pid });
+    await loginStore.deleteApiKey(id);
+    accessLog.info('删除 API Key', { id });
+    res.json({ status: 1, msg: 'API Key 已删除' });
+  });
+
+  // 返回存储中的登录信息、定时任务与存储后端，token 默认脱敏，传入 reveal=true 返回完整 token
+  app.get('/api/debugLogins', (req, res) => {
+    const reveal = req.query.reveal === 'true';
+    const snapshot = {};
+    loginStore.listLogins().forEach((item) => {
+      snapshot[item.userid] = loginView(item, reveal);
+    });
+    loginLog.debug('/api/debugLogins 被调用', { snapshot });
+    res.json({ status: 1, data: snapshot, crons: loginStore.listCrons(), backend: loginStore.backend, pid: process.pid });
   });
 
   const moduleDefinitions = moduleDefs || (await getModulesDefinitions(path.join(__dirname, 'module'), {}));
 
+  /** @type {Record<string, import('./util/cache-policy').ResolvedCachePolicy>} */
+  const cachePolicies = {};
+  moduleDefinitions.forEach((moduleDef) => {
+    cachePolicies[moduleDef.route] = resolveCachePolicy(moduleDef);
+  });
+
+  // 健康检查：/healthz 表示进程存活；/readyz 检查模块是否加载，probe=true（或 KUGOU_API_READY_PROBE=true）时探测酷狗接口
+  const readyCache = Number(process.env.KUGOU_API_READY_CACHE);
+  const readiness = createReadiness({
+    moduleCount: () => moduleDefinitions.filter((moduleDef) => typeof moduleDef.module === 'function').length,
+    cookie: deviceCookie,
+    ttl: readyCache >= 0 && process.env.KUGOU_API_READY_CACHE ? readyCache * 1000 : undefined,
+  });
+
+  app.get('/healthz', (req, res) => {
+    res.json({ status: 1, data: { uptime: process.uptime(), pid: process.pid } });
+  });
+
+  app.get('/readyz', async (req, res) => {
+    const probe = req.query.probe !== undefined ? req.query.probe === 'true' : process.env.KUGOU_API_READY_PROBE === 'true';
+    const report = await readiness.check(probe);
+    res.status(report.ready ? 200 : 503).json({ status: report.ready ? 1 : 0, data: report });
+  });
+
+  // 接口 API Key 校验与限流，在缓存之前执行，命中缓存的请求同样计入限额
+  const accessControl = createAccessControl({ listKeys: () => loginStore.listApiKeys() });
+
+  // 缓存未命中时，并发的相同请求（路由、参数、身份均相同）只请求一次上游
+  const singleFlight = createSingleFlight();
+
+  // 启用指标时记录缓存命中率，需在创建缓存中间件之前设置
+  apicache.options({ trackPerformance: metricsEnabled() });
+
   for (const moduleDef of moduleDefinitions) {
-    app.use(moduleDef.route, async (req, res) => {
+    // Cache：按模块声明的缓存策略创建，缓存 key 包含 vary 声明的用户身份，避免登录用户的数据被其他请求命中
+    // 同一路由、同一身份的缓存归为一组，便于写操作成功后按用户清除
+    const cachePolicy = cachePolicies[moduleDef.route];
+    const cacheMiddleware = cachePolicy.bypass
+      ? []
+      : [
+          (req, _, next) => {
+            req.apicacheGroup = cacheGroup(moduleDef.route, req, cachePolicy);
+            next();
+          },
+          cache(cachePolicy.ttl, (_, res) => res.statusCode === 200, { appendKey: cacheKeySuffix(cachePolicy) }),
+        ];
+    if (!cachePolicy.bypass) cacheRoutes[apicache.getPerformance().length - 1] = moduleDef.route;
+
+    app.use(moduleDef.route, metricsMiddleware(moduleDef.route), accessControl, ...cacheMiddleware, async (req, res) => {
       [req.query, req.body].forEach((item) => {
         if (typeof item.cookie === 'string') {
           item.cookie = cookieToJson(decode(item.cookie));
@@ -411,17 +821,43 @@ async function consturctServer(moduleDefs) {
           ...cookieToJson(authHeader),
         };
       }
-      try {
-        const moduleResponse = await moduleDef.module(query, (config) => {
+      const runModule = () =>
+        moduleDef.module(query, (config) => {
           let ip = req.ip;
           if (ip.substring(0, 7) === '::ffff:') {
             ip = ip.substring(7);
           }
           config.ip = ip;
+          // 声明了 module.exports.idempotent 的模块，POST 请求同样可以在网络错误时重试
+          if (config.idempotent === undefined) config.idempotent = moduleDef.module.idempotent === true;
+          if (!config.proxy) {
+            const proxy = moduleProxy(query);
+            if (proxy) config.proxy = proxy;
+          }
           return createRequest(config);
         });
 
-        console.log('[OK]', decode(req.originalUrl));
+      // 写操作与不缓存的路由不合并，每个请求都需要实际执行
+      /** @type {Promise<any>} */
+      let modulePromise;
+      if (!cachePolicy.bypass && singleFlightEnabled()) {
+        const key = singleFlightKey(moduleDef.route, { ...params, body: req.body }, identityKey(req, cachePolicy.vary));
+        const flight = singleFlight.run(key, runModule);
+        res.set('X-Single-Flight', flight.shared ? 'shared' : 'leader');
+        modulePromise = flight.promise;
+      } else {
+        modulePromise = Promise.resolve().then(runModule);
+      }
+
+      try {
+        const moduleResponse = await modulePromise;
+
+        requestLog.info(redactUrl(decode(req.originalUrl)), { status: moduleResponse.status });
+
+        if (cachePolicy.invalidates.length && moduleResponse.status === 200) {
+          const groups = clearCache({ groups: invalidationGroups(req, cachePolicy.invalidates, cachePolicies) });
+          if (groups.length) cacheLog.info('invalidated', { groups });
+        }
 
         const cookies = moduleResponse.cookie;
         if (!query.noCookie) {
@@ -448,10 +884,13 @@ async function consturctServer(moduleDefs) {
         res.header(moduleResponse.headers).status(moduleResponse.status).send(moduleResponse.body);
       } catch (e) {
         const moduleResponse = e;
-        console.log('[ERR]', decode(req.originalUrl), {
-          status: moduleResponse.status,
-          body: moduleResponse.body,
+        const body = moduleResponse?.body;
+        requestLog.warn(redactUrl(decode(req.originalUrl)), {
+          status: moduleResponse?.status,
+          error_class: body?.error_class,
+          error_code: body?.error_code ?? body?.errcode,
         });
+        requestLog.debug('响应内容', { body });
 
         if (!moduleResponse.body) {
           res.status(404).send({
@@ -470,6 +909,85 @@ async function consturctServer(moduleDefs) {
   return app;
 }
 
+/**
+ * 等待条件满足，超时返回 false
+ * @param {() => boolean} predicate
+ * @param {number} timeout
+ * @returns {Promise<boolean>}
+ */
+function waitFor(predicate, timeout) {
+  const deadline = Date.now() + timeout;
+  return new Promise((resolve) => {
+    const check = () => {
+      if (predicate()) return resolve(true);
+      if (Date.now() >= deadline) return resolve(false);
+      setTimeout(check, 100);
+    };
+    check();
+  });
+}
+
+/**
+ * 记录连接及其是否有进行中的请求，Node 18.2 之前没有 closeIdleConnections / closeAllConnections，停机时据此关闭连接
+ * @param {import('http').Server} server
+ */
+function trackConnections(server) {
+  if (server.closeAllConnections) return;
+  server.on('connection', (socket) => {
+    connections.set(socket, false);
+    socket.once('close', () => connections.delete(socket));
+  });
+  server.on('request', (req, res) => {
+    connections.set(req.socket, true);
+    res.once('finish', () => connections.has(req.socket) && connections.set(req.socket, false));
+  });
+}
+
+/**
+ * 关闭空闲连接或所有连接
+ * @param {import('http').Server} server
+ * @param {boolean} idleOnly
+ */
+function closeConnections(server, idleOnly) {
+  if (server.closeAllConnections) {
+    if (idleOnly) server.closeIdleConnections();
+    else server.closeAllConnections();
+    return;
+  }
+  connections.forEach((busy, socket) => (!idleOnly || !busy) && socket.destroy());
+}
+
+/**
+ * 优雅停机：停止定时任务与接收新连接，中断进行中的签到（当前步骤完成后结束），等待进行中的请求完成，
+ * 超过 KUGOU_API_SHUTDOWN_TIMEOUT（秒，默认 8）后强制关闭连接，最后写入存储并停止代理池
+ * @param {import('http').Server} server
+ * @param {string} reason
+ */
+async function shutdown(server, reason) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const logger = createLogger('Server');
+  const seconds = Number(process.env.KUGOU_API_SHUTDOWN_TIMEOUT);
+  const timeout = process.env.KUGOU_API_SHUTDOWN_TIMEOUT && seconds >= 0 ? seconds * 1000 : DEFAULT_SHUTDOWN_TIMEOUT;
+  logger.info(`收到 ${reason}，开始停止服务`, { inflight: inflightRequests, checkIns: runningCheckIns.size });
+
+  // 只停止任务实例，存储中的定时任务保留，下次启动时恢复
+  Object.values(cronJobs).forEach((job) => job.stop());
+  runningCheckIns.forEach((run) => run.controller.abort());
+  server.close();
+  closeConnections(server, true);
+
+  const drained = await waitFor(() => inflightRequests === 0 && runningCheckIns.size === 0, timeout);
+  if (!drained) {
+    logger.warn('等待超时，强制关闭剩余连接', { inflight: inflightRequests, checkIns: runningCheckIns.size });
+  }
+  closeConnections(server, false);
+
+  await loginStore?.flush();
+  stopProxyPool();
+  logger.info('服务已停止');
+}
+
 /**
  * Serve the KG API
  * @returns {Promise<import('express').Express & ExpressExtension>}
@@ -484,8 +1002,28 @@ async function startService() {
   const appExt = app;
 
   appExt.service = app.listen(port, host, () => {
-    console.log(`server running @ http://${host || 'localhost'}:${port}`);
+    createLogger('Server').info(`server running @ http://${host || 'localhost'}:${port}`);
+    checkProxyEgress().catch((e) => createLogger('proxy').warn(`代理自检失败: ${e.message}`));
   });
+  trackConnections(appExt.service);
+
+  appExt.shutdown = () => shutdown(appExt.service, 'shutdown');
+
+  // 第二次收到信号时不再等待，直接退出
+  const onSignal = (signal) => {
+    if (shuttingDown) process.exit(1);
+    shutdown(appExt.service, signal).then(
+      () => process.exit(0),
+      (e) => {
+        createLogger('Server').error('停止服务失败', { error: e });
+        process.exit(1);
+      }
+    );
+  };
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+  // 集群模式下由主进程通知停止；按 Ctrl+C 时 worker 也会直接收到 SIGINT，此时忽略主进程的通知
+  onClusterEvent('cluster:shutdown', () => !shuttingDown && onSignal('cluster:shutdown'));
 
   return appExt;
 }
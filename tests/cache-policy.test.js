@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { PUBLIC_ROUTES, isPublicRoute } = require('../util/cache-policy');
+
+const MODULE_DIR = path.join(__dirname, '..', 'module');
+// 模块读取 cookie 中的 token / userid 时，返回内容可能与登录用户有关
+const READS_IDENTITY = /cookie\??\.(token|userid)\b|cookie\??\.?\[['"](token|userid)['"]\]/;
+
+test('公共缓存路由对应的模块不读取登录用户身份', () => {
+  assert.ok(PUBLIC_ROUTES.length > 0);
+  const leaking = fs
+    .readdirSync(MODULE_DIR)
+    .filter((file) => file.endsWith('.js'))
+    .filter((file) => isPublicRoute(`/${file.replace(/\.js$/, '').replace(/_/g, '/')}`))
+    .filter((file) => READS_IDENTITY.test(fs.readFileSync(path.join(MODULE_DIR, file), 'utf8')));
+  assert.deepStrictEqual(leaking, []);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatLyric, parseKrc } = require('../util/lyric');
+const { encodeLyrics } = require('../util/util');
+const lyric = require('../module/lyric');
+
+const KRC = ['[ti:歌名]', '[ar:歌手]', '[offset:500]', '[1000,2000]<0,800,0>你<800,1200,0>好', '[3500,1500]<0,700,0>A<700,800,0>&B'].join('\r\n');
+
+test('lrc 保留标签与原始时间', () => {
+  assert.strictEqual(formatLyric(KRC, 'lrc'), ['[ti:歌名]', '[ar:歌手]', '[offset:500]', '[00:01.00]你好', '[00:03.50]A&B'].join('\n'));
+});
+
+test('elrc 输出逐字时间与最后一个字的结束时间', () => {
+  assert.strictEqual(
+    formatLyric(KRC, 'elrc'),
+    ['[ti:歌名]', '[ar:歌手]', '[offset:500]', '[00:01.00]<00:01.00>你<00:01.80>好<00:03.00>', '[00:03.50]<00:03.50>A<00:04.20>&B<00:05.00>'].join(
+      '\n'
+    )
+  );
+});
+
+test('srt 按 offset 调整时间', () => {
+  assert.strictEqual(formatLyric(KRC, 'srt'), '1\n00:00:00,500 --> 00:00:02,500\n你好\n\n2\n00:00:03,000 --> 00:00:04,500\nA&B\n');
+});
+
+test('vtt 带有 WEBVTT 头', () => {
+  assert.strictEqual(formatLyric(KRC, 'vtt'), 'WEBVTT\n\n00:00:00.500 --> 00:00:02.500\n你好\n\n00:00:03.000 --> 00:00:04.500\nA&B\n');
+});
+
+test('ttml 输出逐字 span 并转义文本', () => {
+  const ttml = formatLyric(KRC, 'ttml');
+  assert.match(ttml, /itunes:timing="Word"/);
+  assert.match(ttml, /<ttm:title>歌名<\/ttm:title>/);
+  assert.match(ttml, /<body dur="00:00:04.500">/);
+  assert.ok(
+    ttml.includes(
+      '<p begin="00:00:00.500" end="00:00:02.500"><span begin="00:00:00.500" end="00:00:01.300">你</span><span begin="00:00:01.300" end="00:00:02.500">好</span></p>'
+    )
+  );
+  assert.ok(ttml.includes('<span begin="00:00:03.700" end="00:00:04.500">&amp;B</span>'));
+});
+
+test('translation 为 true 时输出双语 LRC', () => {
+  const parsed = parseKrc(KRC);
+  parsed.lines[0].translation = 'Hello';
+  assert.strictEqual(formatLyric(parsed, 'lrc').split('\n').length, 5);
+  assert.strictEqual(formatLyric(parsed, 'lrc', { translation: true }).split('\n').slice(3, 5).join('\n'), '[00:01.00]你好\n[00:01.00]Hello');
+});
+
+test('不支持的格式抛出错误', () => {
+  assert.throws(() => formatLyric(KRC, /** @type {any} */ ('txt')), /不支持的歌词格式/);
+});
+
+/**
+ * 模拟酷狗歌词下载接口
+ * @returns {any}
+ */
+const fakeAxios = async () => ({ status: 200, body: { content: encodeLyrics(KRC), contenttype: 0 }, cookie: [] });
+
+test('/lyric 传入未知 format 时返回 400', async () => {
+  await assert.rejects(lyric({ id: '1', accesskey: 'x', format: 'txt' }, fakeAxios), (e) => {
+    assert.strictEqual(e.status, 400);
+    assert.strictEqual(e.body.status, 0);
+    return true;
+  });
+});
+
+test('/lyric 返回 format 对应的内容，parse=false 时不返回 parsed', async () => {
+  const res = await lyric({ id: '1', accesskey: 'x', format: 'srt', parse: 'false' }, fakeAxios);
+  assert.strictEqual(res.body.format, 'srt');
+  assert.strictEqual(res.body.formatContent, formatLyric(KRC, 'srt'));
+  assert.strictEqual(res.body.parsed, undefined);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeLanguageTag, formatLyric, parseKrc } = require('../util/lyric');
+
+/**
+ * 与酷狗返回的 [language] 标签格式相同：type 0 为音译（按字拆分），type 1 为翻译
+ * @param {any[]} content
+ * @returns {string}
+ */
+const languageTag = (content) => Buffer.from(JSON.stringify({ content, version: 1 })).toString('base64');
+
+const LANGUAGE = languageTag([
+  {
+    language: 0,
+    type: 0,
+    lyricContent: [
+      ['a ', 'i '],
+      ['ko ', 'to ', 'ba '],
+    ],
+  },
+  { language: 0, type: 1, lyricContent: [['爱'], ['语言']] },
+]);
+
+const KRC = [`[language:${LANGUAGE}]`, '[1000,1000]<0,500,0>愛<500,500,0>い', '[2000,1500]<0,700,0>言<700,800,0>葉'].join('\n');
+
+test('decodeLanguageTag 解码翻译与音译', () => {
+  assert.deepStrictEqual(decodeLanguageTag(LANGUAGE), {
+    translation: [['爱'], ['语言']],
+    romanization: [
+      ['a ', 'i '],
+      ['ko ', 'to ', 'ba '],
+    ],
+  });
+});
+
+test('decodeLanguageTag 对损坏的标签返回 null', () => {
+  assert.deepStrictEqual(decodeLanguageTag('not base64 json'), { translation: null, romanization: null });
+});
+
+test('parseKrc 将翻译与音译写入每行，音译与逐字数量一致时写入每个字', () => {
+  const { lines } = parseKrc(KRC);
+
+  assert.strictEqual(lines[0].translation, '爱');
+  assert.strictEqual(lines[0].romanization, 'a i');
+  assert.deepStrictEqual(
+    lines[0].words.map((word) => word.romanization),
+    ['a', 'i']
+  );
+
+  assert.strictEqual(lines[1].translation, '语言');
+  assert.strictEqual(lines[1].romanization, 'ko to ba');
+  assert.deepStrictEqual(
+    lines[1].words.map((word) => word.romanization),
+    [undefined, undefined]
+  );
+});
+
+test('format 时按选项附加翻译与音译', () => {
+  const lrc = formatLyric(KRC, 'lrc', { translation: true, romanization: true });
+  assert.strictEqual(lrc, ['[00:01.00]愛い', '[00:01.00]爱', '[00:01.00]a i', '[00:02.00]言葉', '[00:02.00]语言', '[00:02.00]ko to ba'].join('\n'));
+
+  const ttml = formatLyric(KRC, 'ttml', { translation: true });
+  assert.ok(ttml.includes('<span ttm:role="x-translation">爱</span>'));
+  assert.ok(!ttml.includes('x-roman'));
+});
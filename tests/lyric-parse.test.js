@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseKrc, parseLrc } = require('../util/lyric');
+
+test('parseKrc 解析标签、歌词行与逐字时间', () => {
+  const text = [
+    '\uFEFF[ti:歌名]',
+    '[ar:歌手]',
+    '[offset:-300]',
+    '[2000,1000]<0,400,0>晚<400,600,0>安',
+    '[500,1200]<0,500,0>早<500,700,0>安',
+    '[3000,800]纯文本',
+  ].join('\r\n');
+  const parsed = parseKrc(text);
+
+  assert.deepStrictEqual(parsed.tags, { ti: '歌名', ar: '歌手', offset: -300 });
+  assert.deepStrictEqual(parsed.lines, [
+    {
+      start: 500,
+      duration: 1200,
+      text: '早安',
+      words: [
+        { start: 500, duration: 500, text: '早' },
+        { start: 1000, duration: 700, text: '安' },
+      ],
+    },
+    {
+      start: 2000,
+      duration: 1000,
+      text: '晚安',
+      words: [
+        { start: 2000, duration: 400, text: '晚' },
+        { start: 2400, duration: 600, text: '安' },
+      ],
+    },
+    { start: 3000, duration: 800, text: '纯文本', words: [] },
+  ]);
+});
+
+test('parseKrc 对空内容返回空结果', () => {
+  assert.deepStrictEqual(parseKrc(''), { tags: {}, lines: [] });
+});
+
+test('parseLrc 解析多个时间标签，持续时间为到下一行的间隔', () => {
+  const parsed = parseLrc(['[ti:歌名]', '[offset:100]', '[00:01.00][00:05.50]副歌', '[00:03.20]主歌'].join('\n'));
+
+  assert.deepStrictEqual(parsed.tags, { ti: '歌名', offset: 100 });
+  assert.deepStrictEqual(parsed.lines, [
+    { start: 1000, duration: 2200, text: '副歌', words: [] },
+    { start: 3200, duration: 2300, text: '主歌', words: [] },
+    { start: 5500, duration: 0, text: '副歌', words: [] },
+  ]);
+});
+
+test('parseLrc 解析增强 LRC 的逐字时间', () => {
+  const parsed = parseLrc('[00:01.00]<00:01.00>你<00:01.50>好<00:02.25>');
+
+  assert.deepStrictEqual(parsed.lines, [
+    {
+      start: 1000,
+      duration: 1250,
+      text: '你好',
+      words: [
+        { start: 1000, duration: 500, text: '你' },
+        { start: 1500, duration: 750, text: '好' },
+      ],
+    },
+  ]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeLyrics, encodeLyrics } = require('../util/util');
+const { encodeLanguageTag, parseKrc } = require('../util/lyric');
+
+/**
+ * @param {string} text
+ * @param {string[]} syllables 每个字的音译
+ * @param {string} translation
+ * @returns {import('../util/lyric').LyricLine}
+ */
+const line = (text, syllables, translation) => ({
+  start: 0,
+  duration: 0,
+  text,
+  words: [...text].map((char, index) => ({ start: 0, duration: 0, text: char, romanization: syllables[index] })),
+  translation,
+  romanization: syllables.join(' '),
+});
+
+const language = encodeLanguageTag([line('你好', ['ni', 'hao'], 'Hello'), line('世界', ['shi', 'jie'], 'World')]);
+
+const KRC = [
+  '[id:$00000000]',
+  '[ar:歌手]',
+  '[ti:歌名]',
+  '[by:]',
+  '[hash:0123456789abcdef]',
+  '[offset:0]',
+  `[language:${language}]`,
+  '[1000,2000]<0,1000,0>你<1000,1000,0>好',
+  '[3000,1500]<0,700,0>世<700,800,0>界',
+].join('\r\n');
+
+test('decodeLyrics 可以还原 encodeLyrics 编码的文本', () => {
+  assert.strictEqual(decodeLyrics(encodeLyrics(KRC)), KRC);
+  assert.strictEqual(decodeLyrics(/** @type {Buffer} */ (encodeLyrics(KRC, 'buffer'))), KRC);
+});
+
+test('解析后的歌词经编码、解码后再次解析结果一致', () => {
+  const parsed = parseKrc(KRC);
+  assert.strictEqual(parsed.lines[0].translation, 'Hello');
+  assert.strictEqual(parsed.lines[1].words[1].romanization, 'jie');
+
+  parsed.tags.offset = -500;
+  const result = parseKrc(decodeLyrics(encodeLyrics(parsed)));
+  assert.deepStrictEqual(result, parsed);
+  assert.strictEqual(result.tags.language, language);
+  assert.strictEqual(result.tags.offset, -500);
+});
+
+test('修改翻译并删除 [language] 标签后编码时重新生成', () => {
+  const parsed = parseKrc(KRC);
+  parsed.lines[0].translation = 'Hi';
+  delete parsed.tags.language;
+
+  const result = parseKrc(decodeLyrics(encodeLyrics(parsed)));
+  assert.strictEqual(result.lines[0].translation, 'Hi');
+  assert.strictEqual(result.lines[1].translation, 'World');
+  assert.strictEqual(result.lines[0].romanization, 'ni hao');
+  assert.deepStrictEqual(result.lines[0].words, parsed.lines[0].words);
+});
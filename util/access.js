@@ -0,0 +1,203 @@
+const crypto = require('node:crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Access');
+
+/**
+ * 调用方 API Key，保存时只保存摘要，完整 key 仅在创建时返回一次
+ * rateLimit 为每分钟请求数，未设置时使用 KUGOU_API_KEY_RATE_LIMIT，0 表示不限制
+ * @typedef {{ id: string, name: string, hash: string, rateLimit?: number, createdAt: string | Date, source?: 'env' | 'store' }} ApiKeyRecord
+ */
+
+// 请求中携带 API Key 的 header / query 参数名
+const API_KEY_HEADER = 'x-api-key';
+const API_KEY_PARAM = 'api_key';
+// 令牌桶数量超过该值时清理已回满的桶
+const MAX_BUCKETS = 10000;
+
+/**
+ * @param {string} key
+ * @returns {string}
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * 生成新的 API Key
+ * @returns {{ id: string, key: string }}
+ */
+const generateApiKey = () => ({ id: crypto.randomBytes(4).toString('hex'), key: `kg_${crypto.randomBytes(24).toString('hex')}` });
+
+/**
+ * 解析 KUGOU_API_KEYS，格式为 `key` 或 `key:每分钟请求数`，逗号分隔
+ * @param {string} raw
+ * @returns {ApiKeyRecord[]}
+ */
+const parseEnvApiKeys = (raw) =>
+  raw
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item, index) => {
+      const [key, limit] = item.split(':');
+      const rateLimit = limit === undefined || limit === '' ? undefined : Number(limit);
+      if (rateLimit !== undefined && !(rateLimit >= 0)) logger.warn(`KUGOU_API_KEYS 第 ${index + 1} 项的限额无效，使用默认限额`);
+      return {
+        id: `env-${index + 1}`,
+        name: `${key.slice(0, 4)}****`,
+        hash: hashApiKey(key),
+        ...(rateLimit >= 0 ? { rateLimit } : {}),
+        createdAt: new Date(0),
+        source: /** @type {'env'} */ ('env'),
+      };
+    });
+
+/**
+ * 读取请求中的 API Key，支持 `X-API-Key: xxx` 或 `?api_key=xxx`
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const readApiKey = (req) => {
+  const header = req.headers[API_KEY_HEADER];
+  if (typeof header === 'string' && header) return header.trim();
+  const param = req.query?.[API_KEY_PARAM];
+  return typeof param === 'string' ? param.trim() : '';
+};
+
+/**
+ * 从 query 与 url 中移除 API Key，避免其进入模块参数、缓存 key 与日志
+ * @param {import('express').Request} req
+ */
+const stripApiKeyParam = (req) => {
+  if (!req.query || !(API_KEY_PARAM in req.query)) return;
+  delete req.query[API_KEY_PARAM];
+  const strip = (url) => {
+    const index = url.indexOf('?');
+    if (index < 0) return url;
+    const search = new URLSearchParams(url.slice(index + 1));
+    search.delete(API_KEY_PARAM);
+    const rest = search.toString();
+    return rest ? `${url.slice(0, index)}?${rest}` : url.slice(0, index);
+  };
+  req.url = strip(req.url);
+  req.originalUrl = strip(req.originalUrl);
+};
+
+/**
+ * 每分钟限额的令牌桶，桶容量等于每分钟请求数，按秒匀速回填
+ */
+function createRateLimiter() {
+  /** @type {Map<string, { tokens: number, updatedAt: number, limit: number }>} */
+  const buckets = new Map();
+
+  /**
+   * @param {{ tokens: number, updatedAt: number, limit: number }} bucket
+   * @param {number} now
+   */
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(bucket.limit, bucket.tokens + ((now - bucket.updatedAt) / 60000) * bucket.limit);
+    bucket.updatedAt = now;
+  };
+
+  return {
+    /**
+     * 消耗一个令牌
+     * @param {string} key
+     * @param {number} limit 每分钟请求数
+     * @returns {{ allowed: boolean, remaining: number, retryAfter: number }} retryAfter 为需要等待的秒数
+     */
+    take(key, limit) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.limit !== limit) {
+        if (buckets.size >= MAX_BUCKETS) {
+          buckets.forEach((item, id) => {
+            refill(item, now);
+            if (item.tokens >= item.limit) buckets.delete(id);
+          });
+        }
+        bucket = { tokens: limit, updatedAt: now, limit };
+        buckets.set(key, bucket);
+      }
+      refill(bucket, now);
+      if (bucket.tokens < 1) {
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil(((1 - bucket.tokens) / limit) * 60) };
+      }
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    },
+  };
+}
+
+/**
+ * 读取非负数字环境变量
+ * @param {string} name
+ * @returns {number} 未设置或无效时返回 0（不限制）
+ */
+const envLimit = (name) => {
+  const value = Number(process.env[name] || 0);
+  return value >= 0 ? value : 0;
+};
+
+/**
+ * 按 IP 限流时使用的客户端地址：默认取真实的连接地址，避免通过 X-Forwarded-For 伪造；
+ * 部署在反向代理之后时设置 KUGOU_API_TRUST_PROXY=true 改为取 req.ip
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const clientAddress = (req) => (process.env.KUGOU_API_TRUST_PROXY === 'true' ? req.ip : req.socket.remoteAddress) || '';
+
+/**
+ * 接口访问控制中间件：校验 API Key，并按 key（携带 key 时）或 IP（未携带时）限流
+ * KUGOU_API_REQUIRE_KEY=true 时未携带 key 的请求返回 401；携带了无效 key 的请求总是返回 401
+ * @param {{ listKeys: () => ApiKeyRecord[] }} options listKeys 返回存储中的 key，与 KUGOU_API_KEYS 合并
+ * @returns {import('express').RequestHandler}
+ */
+function createAccessControl({ listKeys }) {
+  const limiter = createRateLimiter();
+  /** @type {{ raw: string, keys: ApiKeyRecord[] }} */
+  let envKeys = { raw: '', keys: [] };
+
+  const findKey = (key) => {
+    const raw = process.env.KUGOU_API_KEYS || '';
+    if (envKeys.raw !== raw) envKeys = { raw, keys: parseEnvApiKeys(raw) };
+    const hash = hashApiKey(key);
+    return envKeys.keys.concat(listKeys()).find((item) => item.hash === hash);
+  };
+
+  return (req, res, next) => {
+    const key = readApiKey(req);
+    stripApiKeyParam(req);
+
+    /** @type {ApiKeyRecord | undefined} */
+    let record;
+    if (key) {
+      record = findKey(key);
+      if (!record) return res.status(401).json({ status: 0, code: 401, msg: 'API Key 无效' });
+    } else if (process.env.KUGOU_API_REQUIRE_KEY === 'true') {
+      return res.status(401).json({ status: 0, code: 401, msg: `缺少 API Key，请通过 X-API-Key 请求头或 ${API_KEY_PARAM} 参数传入` });
+    }
+
+    const limit = record ? record.rateLimit ?? envLimit('KUGOU_API_KEY_RATE_LIMIT') : envLimit('KUGOU_API_IP_RATE_LIMIT');
+    if (!limit) return next();
+
+    const result = limiter.take(record ? `key:${record.id}` : `ip:${clientAddress(req)}`, limit);
+    res.set('X-RateLimit-Limit', String(limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ status: 0, code: 429, msg: `请求过于频繁，请 ${result.retryAfter} 秒后重试` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  API_KEY_PARAM,
+  createAccessControl,
+  createRateLimiter,
+  generateApiKey,
+  hashApiKey,
+  parseEnvApiKeys,
+  readApiKey,
+};
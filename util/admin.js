@@ -0,0 +1,88 @@
+const crypto = require('node:crypto');
+const { createLogger } = require('./logger');
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+// 带有这些请求头的请求经过了反向代理，连接地址是代理的地址而不是真实的客户端
+const FORWARDED_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip'];
+
+/**
+ * 常量时间比较，避免通过响应耗时猜测密钥
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = crypto.createHash('sha256').update(a).digest();
+  const right = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * 从请求中读取管理密钥，支持 `X-Admin-Secret: xxx` 或 `Authorization: Bearer xxx`
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const readAdminSecret = (req) => {
+  const header = req.headers['x-admin-secret'];
+  if (typeof header === 'string' && header) return header;
+  const authorization = req.headers['authorization'];
+  if (typeof authorization === 'string' && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return '';
+};
+
+/**
+ * 管理接口鉴权中间件
+ * 配置 KUGOU_API_ADMIN_SECRET 后需携带密钥访问；未配置时默认禁止访问，
+ * 设置 KUGOU_API_ADMIN_ALLOW_LOOPBACK=true 后允许本机直接访问（经过反向代理的请求除外）
+ * @param {{ secret?: string, allowLoopback?: boolean }} [options]
+ * @returns {import('express').RequestHandler}
+ */
+function createAdminAuth(options = {}) {
+  const secret = options.secret ?? process.env.KUGOU_API_ADMIN_SECRET ?? '';
+  const allowLoopback = options.allowLoopback ?? process.env.KUGOU_API_ADMIN_ALLOW_LOOPBACK === 'true';
+
+  if (!secret) {
+    createLogger('Admin').warn(
+      allowLoopback
+        ? 'KUGOU_API_ADMIN_SECRET 未配置，管理接口 /api/* 仅允许本机直接访问'
+        : 'KUGOU_API_ADMIN_SECRET 未配置，管理接口 /api/* 已禁用，如需本机访问请设置 KUGOU_API_ADMIN_ALLOW_LOOPBACK=true'
+    );
+  }
+
+  return (req, res, next) => {
+    if (secret) {
+      const provided = readAdminSecret(req);
+      if (provided && safeEqual(provided, secret)) return next();
+      return res.status(401).json({ status: 0, code: 401, msg: '未授权，请提供正确的管理密钥' });
+    }
+
+    if (!allowLoopback) {
+      return res.status(403).json({ status: 0, code: 403, msg: '未配置 KUGOU_API_ADMIN_SECRET，管理接口已禁用' });
+    }
+    // trust proxy 开启时 req.ip 可被 X-Forwarded-For 伪造，这里使用真实的连接地址；
+    // 同一台机器上的反向代理转发的请求连接地址同样是本机，带有转发请求头时拒绝
+    const forwarded = FORWARDED_HEADERS.some((name) => req.headers[name] !== undefined);
+    if (!forwarded && LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress || '')) return next();
+    res.status(403).json({ status: 0, code: 403, msg: '未配置 KUGOU_API_ADMIN_SECRET，管理接口仅允许本机直接访问' });
+  };
+}
+
+/**
+ * 代理地址脱敏，隐藏其中的密码
+ * @param {string} proxy
+ * @returns {string}
+ */
+const maskProxy = (proxy) => {
+  if (typeof proxy !== 'string' || !proxy) return proxy;
+  try {
+    const url = new URL(proxy);
+    if (url.password) url.password = '****';
+    return url.toString();
+  } catch (e) {
+    return proxy;
+  }
+};
+
+module.exports = { createAdminAuth, maskProxy, readAdminSecret };
@@ -0,0 +1,243 @@
+const decode = require('safe-decode-uri-component');
+const { cryptoMd5 } = require('./crypto');
+const { cookieToJson } = require('./util');
+const { resolveRequestPlatform } = require('./platform');
+
+/**
+ * 可公共缓存的路由：返回内容与登录用户无关，同一平台的请求共享同一份缓存
+ * 以 `/*` 结尾表示匹配该路由及其所有子路由
+ * 不在列表中的路由按用户身份（userid/token/platform）分别缓存；模块读取 cookie 中的 token / userid 时不能加入列表
+ */
+const PUBLIC_ROUTES = [
+  '/album/detail',
+  '/album/songs',
+  '/album/shop',
+  '/artist/albums',
+  '/artist/audios',
+  '/artist/detail',
+  '/artist/honour',
+  '/artist/lists',
+  '/artist/videos',
+  '/audio/accompany/matching',
+  '/audio/ktv/total',
+  '/audio/related',
+  '/comment/*',
+  '/favorite/count',
+  '/images/*',
+  '/ip/*',
+  '/kmr/audio/mv',
+  '/krm/audio',
+  '/longaudio/album/*',
+  '/lyric/*',
+  '/playlist/effect',
+  '/playlist/tags',
+  '/rank/*',
+  '/scene/lists',
+  '/scene/module/*',
+  '/search',
+  '/search/complex',
+  '/search/hot',
+  '/search/lyric',
+  '/search/mixed',
+  '/search/suggest',
+  '/sheet/*',
+  '/singer/list',
+  '/song/climax',
+  '/song/ranking/*',
+  '/top/ip',
+  '/yueku',
+  '/yueku/fm',
+];
+
+/**
+ * @param {string} pattern
+ * @param {string} route
+ * @returns {boolean}
+ */
+const matchRoute = (pattern, route) => {
+  if (pattern.endsWith('/*')) {
+    const base = pattern.slice(0, -2);
+    return route === base || route.startsWith(`${base}/`);
+  }
+  return route === pattern;
+};
+
+/**
+ * 可通过 KUGOU_API_CACHE_PUBLIC_ROUTES 追加公共缓存路由（逗号分隔）
+ * @returns {string[]}
+ */
+const publicRoutes = () => {
+  const extra = (process.env.KUGOU_API_CACHE_PUBLIC_ROUTES || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return PUBLIC_ROUTES.concat(extra);
+};
+
+/**
+ * 路由是否可公共缓存
+ * @param {string} route
+ * @returns {boolean}
+ */
+const isPublicRoute = (route) => {
+  const normalized = route.length > 1 ? route.replace(/\/+$/, '') : route;
+  return publicRoutes().some((pattern) => matchRoute(pattern, normalized));
+};
+
+/**
+ * @typedef {'userid' | 'token' | 'platform'} VaryField
+ */
+
+/**
+ * 模块可通过 `module.exports.cache` 声明缓存策略
+ * invalidates 为请求成功后需要清除当前用户缓存的读接口路由
+ * @typedef {{
+ *  ttl?: string | number,
+ *  bypass?: boolean,
+ *  vary?: VaryField[],
+ *  invalidates?: string[],
+ * }} CachePolicy
+ */
+
+/**
+ * @typedef {{ ttl: string | number, bypass: boolean, vary: VaryField[], invalidates: string[] }} ResolvedCachePolicy
+ */
+
+const IDENTITY_FIELDS = /** @type {VaryField[]} */ (['userid', 'token', 'platform']);
+
+/**
+ * 会修改数据或有副作用的模块，默认不缓存（登录相关模块以 login_ 开头，同样不缓存）
+ */
+const MUTATING_MODULES = [
+  'artist_follow',
+  'artist_unfollow',
+  'captcha_sent',
+  'playhistory_upload',
+  'playlist_add',
+  'playlist_del',
+  'playlist_tracks_add',
+  'playlist_tracks_del',
+  'register_dev',
+  'youth_channel_sub',
+  'youth_day_vip',
+  'youth_day_vip_upgrade',
+  'youth_listen_song',
+  'youth_union_vip',
+  'youth_vip',
+];
+
+/**
+ * 模块是否会修改数据或有副作用：登录相关模块与 MUTATING_MODULES
+ * @param {string} [identifier] 模块名
+ * @returns {boolean}
+ */
+const isMutatingModule = (identifier = '') => identifier.startsWith('login_') || identifier === 'login' || MUTATING_MODULES.includes(identifier);
+
+/**
+ * 默认缓存时长，可通过 KUGOU_API_CACHE_TTL 修改
+ * @returns {string}
+ */
+const defaultTtl = () => process.env.KUGOU_API_CACHE_TTL || '2 minutes';
+
+/**
+ * 合并默认策略与模块声明的策略
+ * @param {{ identifier?: string, route: string, module: any }} moduleDef
+ * @returns {ResolvedCachePolicy}
+ */
+const resolveCachePolicy = (moduleDef) => {
+  const identifier = moduleDef.identifier || '';
+  /** @type {CachePolicy} */
+  const declared = (moduleDef.module && moduleDef.module.cache) || {};
+
+  return {
+    ttl: declared.ttl ?? defaultTtl(),
+    bypass: declared.bypass ?? isMutatingModule(identifier),
+    vary: declared.vary ?? (isPublicRoute(moduleDef.route) ? ['platform'] : IDENTITY_FIELDS),
+    invalidates: declared.invalidates || [],
+  };
+};
+
+/**
+ * 合并请求中的 cookie，与模块实际使用的 cookie 合并顺序一致：请求 cookie < query.cookie < Authorization
+ * @param {import('express').Request} req
+ * @returns {Record<string, any>}
+ */
+const requestCookie = (req) => {
+  const queryCookie = req.query?.cookie;
+  return Object.assign(
+    {},
+    req.cookies || {},
+    typeof queryCookie === 'string' ? cookieToJson(decode(queryCookie)) : queryCookie || {},
+    req.headers['authorization'] ? cookieToJson(req.headers['authorization']) : {}
+  );
+};
+
+/**
+ * 获取请求身份
+ * @param {import('express').Request} req
+ * @returns {Record<VaryField, string>}
+ */
+const resolveIdentity = (req) => {
+  const cookie = requestCookie(req);
+  return {
+    userid: String(cookie.userid || ''),
+    token: String(cookie.token || ''),
+    platform: resolveRequestPlatform(req, cookie),
+  };
+};
+
+/**
+ * 身份缓存 key：不区分身份时为 public（仅区分平台时带上平台），未登录为 anonymous，
+ * 登录后为身份信息的摘要（避免 token 出现在缓存 key 中）
+ * @param {import('express').Request} req
+ * @param {VaryField[]} [vary]
+ * @returns {string}
+ */
+const identityKey = (req, vary = IDENTITY_FIELDS) => {
+  if (!vary.length) return 'public';
+  const identity = resolveIdentity(req);
+  if (vary.every((field) => field === 'platform')) return `public:${identity.platform}`;
+  const anonymous = !vary.some((field) => field !== 'platform' && identity[field]);
+  if (anonymous) return vary.includes('platform') ? `anonymous:${identity.platform}` : 'anonymous';
+  return cryptoMd5(vary.map((field) => `${field}=${identity[field]}`).join('|')).substring(0, 16);
+};
+
+/**
+ * 生成 apicache appendKey
+ * @param {{ vary: VaryField[] }} policy
+ * @returns {(req: import('express').Request) => string}
+ */
+const cacheKeySuffix = (policy) => (req) => identityKey(req, policy.vary);
+
+/**
+ * apicache 分组名：同一路由、同一身份的缓存归为一组，便于按用户清除
+ * @param {string} route
+ * @param {import('express').Request} req
+ * @param {{ vary: VaryField[] }} policy
+ * @returns {string}
+ */
+const cacheGroup = (route, req, policy) => `${route}|${identityKey(req, policy.vary)}`;
+
+/**
+ * 当前用户在指定路由下的缓存分组（不论是否已有缓存）
+ * @param {import('express').Request} req
+ * @param {string[]} routes
+ * @param {Record<string, ResolvedCachePolicy>} policies 路由对应的缓存策略
+ * @returns {string[]}
+ */
+const invalidationGroups = (req, routes, policies) =>
+  routes.filter((route) => policies[route] && !policies[route].bypass).map((route) => cacheGroup(route, req, policies[route]));
+
+module.exports = {
+  PUBLIC_ROUTES,
+  MUTATING_MODULES,
+  isMutatingModule,
+  isPublicRoute,
+  resolveCachePolicy,
+  requestCookie,
+  resolveIdentity,
+  identityKey,
+  cacheKeySuffix,
+  cacheGroup,
+  invalidationGroups,
+};
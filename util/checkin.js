@@ -0,0 +1,239 @@
+const { createRequest } = require('./request');
+const { withPlatform } = require('./platform');
+const userDetail = require('../module/user_detail');
+const youthListenSong = require('../module/youth_listen_song');
+const youthVip = require('../module/youth_vip');
+const userVipDetail = require('../module/user_vip_detail');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('CheckIn');
+
+/**
+ * @typedef {{
+ *  step: 'user_detail' | 'youth_listen_song' | 'youth_vip' | 'user_vip_detail',
+ *  attempt?: number,
+ *  ok: boolean,
+ *  status?: number,
+ *  error_code?: number,
+ *  msg?: string,
+ *  at: Date,
+ * }} CheckInStep
+ */
+
+/**
+ * @typedef {{
+ *  userid: string | number,
+ *  nickname: string | null,
+ *  status: 'success' | 'expired' | 'failed' | 'aborted',
+ *  startedAt: Date,
+ *  finishedAt: Date | null,
+ *  steps: CheckInStep[],
+ *  vipClaimed: number,
+ *  vipEndTime: string | null,
+ *  error: string | null,
+ * }} CheckInResult
+ */
+
+// 每日可领取 VIP 的最大次数
+const MAX_VIP_ATTEMPTS = 8;
+// 今日领取次数已用光
+const ERROR_VIP_EXHAUSTED = 30002;
+
+/**
+ * 两次领取之间随机等待 30-40 秒
+ * @returns {number}
+ */
+const defaultDelay = () => 30000 + Math.random() * 10000;
+
+/**
+ * 可中断的等待，signal 中断时立即结束等待
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const abortableSleep = (ms, signal) =>
+  new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+
+/**
+ * 创建签到使用的中断控制器，Node 14 没有全局 AbortController，此时使用只支持 abort 事件的简易实现
+ * @returns {{ signal: AbortSignal, abort: () => void }}
+ */
+function createAbortController() {
+  if (typeof AbortController === 'function') return new AbortController();
+  /** @type {Set<() => void>} */
+  const listeners = new Set();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => type === 'abort' && listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+  };
+  return {
+    signal: /** @type {AbortSignal} */ (/** @type {unknown} */ (signal)),
+    abort: () => {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      listeners.forEach((listener) => listener());
+      listeners.clear();
+    },
+  };
+}
+
+/**
+ * 直接调用模块，上游返回错误时不抛出而是返回响应体，网络错误时抛出
+ * cookie 中带有 KUGOU_API_PLATFORM 时按该平台调用，params.proxy 为该次调用使用的代理
+ * @param {(params: Record<string, any>, useAxios: typeof createRequest) => Promise<import('./request').UseAxiosResponse>} mod
+ * @param {Record<string, any>} params
+ * @returns {Promise<Record<string, any>>}
+ */
+const callModule = async (mod, params) => {
+  /** @type {typeof createRequest} */
+  const useAxios = (config) => createRequest(params.proxy && !config.proxy ? { ...config, proxy: params.proxy } : config);
+  try {
+    const res = await withPlatform(params.cookie?.KUGOU_API_PLATFORM, () => mod(params, useAxios));
+    return res.body || {};
+  } catch (e) {
+    if (!e || !e.body) throw e;
+    if (typeof e.body !== 'object') return { status: 0, msg: String(e.body) };
+    // 网络错误时 createRequest 会把 Error 对象放在 msg 中
+    if (e.body.msg instanceof Error) throw e.body.msg;
+    return e.body;
+  }
+};
+
+/**
+ * 执行一次自动签到：校验 token、听歌领取 VIP、循环领取 VIP、读取 VIP 到期时间
+ * @param {{ userid: string | number, token: string }} login
+ * @param {{
+ *  cookie?: Record<string, string | number>,
+ *  proxy?: string,
+ *  delay?: () => number,
+ *  sleep?: (ms: number) => Promise<void>,
+ *  signal?: AbortSignal,
+ * }} [options] cookie 为额外附带的 cookie（如 KUGOU_API_MID），proxy 为该账户使用的代理，delay/sleep 可用于自定义等待，
+ * signal 中断后在当前步骤完成时结束签到（等待中立即结束），已领取的次数会保留在结果中
+ * @returns {Promise<CheckInResult>}
+ */
+async function runCheckIn(login, options = {}) {
+  const { userid, token } = login;
+  const cookie = { ...(options.cookie || {}), token, userid };
+  const delay = options.delay || defaultDelay;
+  const sleep = options.sleep || ((ms) => abortableSleep(ms, options.signal));
+
+  /** @type {CheckInResult} */
+  const result = {
+    userid,
+    nickname: null,
+    status: 'failed',
+    startedAt: new Date(),
+    finishedAt: null,
+    steps: [],
+    vipClaimed: 0,
+    vipEndTime: null,
+    error: null,
+  };
+
+  /**
+   * @param {CheckInStep['step']} step
+   * @param {Record<string, any>} body
+   * @param {boolean} ok
+   * @param {number} [attempt]
+   */
+  const record = (step, body, ok, attempt) => {
+    const item = { step, ok, status: body.status, error_code: body.error_code, msg: body.msg || body.error || undefined, at: new Date() };
+    if (attempt) item.attempt = attempt;
+    result.steps.push(item);
+    return item;
+  };
+
+  /**
+   * 调用模块，网络错误时记录该步骤后继续抛出
+   * @param {CheckInStep['step']} step
+   * @param {Parameters<typeof callModule>[0]} mod
+   * @param {number} [attempt]
+   */
+  const call = async (step, mod, attempt) => {
+    try {
+      return await callModule(mod, { cookie, proxy: options.proxy });
+    } catch (e) {
+      record(step, { status: 0, msg: e?.message || String(e) }, false, attempt);
+      throw e;
+    }
+  };
+
+  /**
+   * 签到是否已被中断（如服务停止），中断时记录结果
+   * @returns {boolean}
+   */
+  const aborted = () => {
+    if (!options.signal?.aborted) return false;
+    result.status = 'aborted';
+    result.error = '签到已中断';
+    logger.warn('签到已中断', { userid, vipClaimed: result.vipClaimed });
+    return true;
+  };
+
+  logger.info('开始签到', { userid });
+
+  try {
+    const user = await call('user_detail', userDetail);
+    record('user_detail', user, !!user?.data?.nickname);
+    if (!user?.data?.nickname) {
+      result.status = 'expired';
+      logger.info('token过期', { userid });
+      return result;
+    }
+    result.nickname = user.data.nickname;
+    logger.info(`用户 ${result.nickname} 开始签到`);
+    if (aborted()) return result;
+
+    const listen = await call('youth_listen_song', youthListenSong);
+    record('youth_listen_song', listen, listen.status === 1);
+    logger.info(`听歌结果: ${listen.status === 1 ? '成功' : '失败/已领取'}`);
+
+    for (let i = 1; i <= MAX_VIP_ATTEMPTS; i++) {
+      if (aborted()) return result;
+      const ad = await call('youth_vip', youthVip, i);
+      record('youth_vip', ad, ad.status === 1, i);
+
+      if (ad.status !== 1) {
+        logger.info(ad.error_code === ERROR_VIP_EXHAUSTED ? '今日次数已用光' : `第${i}次领取失败`);
+        break;
+      }
+
+      result.vipClaimed += 1;
+      logger.info(`第${i}次领取成功`);
+      if (i !== MAX_VIP_ATTEMPTS) {
+        const ms = delay();
+        logger.info(`等待${(ms / 1000).toFixed(1)}秒后继续...`);
+        await sleep(ms);
+      }
+    }
+
+    if (aborted()) return result;
+    const vip = await call('user_vip_detail', userVipDetail);
+    const vipEndTime = vip?.data?.busi_vip?.[0]?.vip_end_time || null;
+    record('user_vip_detail', vip, vip.status === 1);
+    result.vipEndTime = vipEndTime;
+    if (vipEndTime) logger.info(`VIP到期时间: ${vipEndTime}`);
+
+    result.status = 'success';
+  } catch (e) {
+    result.error = e?.message || String(e);
+    logger.error(`签到出错: ${result.error}`);
+  } finally {
+    result.finishedAt = new Date();
+  }
+
+  return result;
+}
+
+module.exports = { runCheckIn, callModule, createAbortController };
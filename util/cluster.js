@@ -0,0 +1,246 @@
+const cluster = require('node:cluster');
+const os = require('node:os');
+const { createLogger } = require('./logger');
+const { createLoginStore, registerStoreBackend } = require('./store');
+
+const logger = createLogger('Cluster');
+
+/**
+ * 主进程与 worker 之间的消息
+ * - store:read / store:apply：worker 读取状态、转发修改操作，主进程以 cluster:reply 回复
+ * - store:state：主进程推送最新状态
+ * - cluster:broadcast：worker 发出的事件，由主进程转发给其他 worker
+ * - cluster:shutdown：主进程通知 worker 停止
+ * @typedef {{ type: string, id?: number, [key: string]: any }} ClusterMessage
+ */
+
+// worker 异常退出后重新启动前的等待时间
+const RESTART_DELAY = 1000;
+// 主进程在 worker 优雅停机的基础上额外等待的时间
+const STOP_GRACE = 5000;
+
+/**
+ * worker 数量，由 --workers / KUGOU_API_WORKERS 配置，`auto` 表示 CPU 核数；小于 2 时不启用集群模式
+ * @returns {number}
+ */
+function clusterWorkers() {
+  const raw = (process.env.KUGOU_API_WORKERS || '').trim();
+  // os.availableParallelism 在 Node 18.14 才加入
+  const cpus = () => (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+  const count = raw === 'auto' ? cpus() : Math.floor(Number(raw));
+  return count >= 2 ? count : 0;
+}
+
+/**
+ * 当前进程是否为集群模式的 worker
+ * @returns {boolean}
+ */
+const isClusterWorker = () => cluster.isWorker && process.env.KUGOU_API_CLUSTER_ROLE !== undefined;
+
+/**
+ * 当前进程是否负责执行定时任务：非集群模式下总是负责，集群模式下只有一个 worker 负责
+ * @returns {boolean}
+ */
+const isCronWorker = () => !isClusterWorker() || process.env.KUGOU_API_CLUSTER_ROLE === 'cron';
+
+/** @type {Map<number, { resolve: (value: any) => void, reject: (reason: Error) => void }>} */
+const pendingReplies = new Map();
+/** @type {Map<string, Set<(payload: any) => void>>} */
+const handlers = new Map();
+let sequence = 0;
+let listening = false;
+
+/**
+ * worker 接收主进程消息，首次使用时注册
+ */
+const listen = () => {
+  if (listening) return;
+  listening = true;
+  process.on('message', (/** @type {ClusterMessage} */ message) => {
+    if (!message || typeof message !== 'object') return;
+    if (message.type === 'cluster:reply') {
+      const pending = pendingReplies.get(/** @type {number} */ (message.id));
+      if (!pending) return;
+      pendingReplies.delete(/** @type {number} */ (message.id));
+      if (message.error) pending.reject(new Error(message.error));
+      else pending.resolve(message.data);
+      return;
+    }
+    const event = message.type === 'cluster:broadcast' ? message.event : message.type;
+    handlers.get(event)?.forEach((handler) => handler(message.payload));
+  });
+  process.on('disconnect', () => {
+    pendingReplies.forEach((pending) => pending.reject(new Error('与主进程的连接已断开')));
+    pendingReplies.clear();
+  });
+};
+
+/**
+ * 向主进程发送请求并等待回复
+ * @param {string} type
+ * @param {Record<string, any>} [payload]
+ * @returns {Promise<any>}
+ */
+function requestPrimary(type, payload = {}) {
+  listen();
+  return new Promise((resolve, reject) => {
+    if (!process.send || !process.connected) {
+      reject(new Error('与主进程的连接已断开'));
+      return;
+    }
+    const id = ++sequence;
+    pendingReplies.set(id, { resolve, reject });
+    process.send({ type, id, ...payload });
+  });
+}
+
+/**
+ * 监听主进程的消息或其他 worker 广播的事件，非集群模式下不会触发
+ * @param {string} event
+ * @param {(payload: any) => void} handler
+ */
+function onClusterEvent(event, handler) {
+  if (!isClusterWorker()) return;
+  listen();
+  if (!handlers.has(event)) handlers.set(event, new Set());
+  /** @type {Set<(payload: any) => void>} */ (handlers.get(event)).add(handler);
+}
+
+/**
+ * 通知其他 worker，非集群模式下不做任何事
+ * @param {string} event
+ * @param {any} payload
+ */
+function broadcast(event, payload) {
+  if (!isClusterWorker() || !process.send || !process.connected) return;
+  process.send({ type: 'cluster:broadcast', event, payload });
+}
+
+/**
+ * worker 使用的存储后端：状态由主进程维护，修改操作转发给主进程执行
+ * @returns {import('./store').StoreBackend}
+ */
+function createClusterBackend() {
+  return {
+    name: 'cluster',
+    read: () => requestPrimary('store:read'),
+    write: () => Promise.reject(new Error('集群模式下不能直接写入存储')),
+    apply: (op, args) => requestPrimary('store:apply', { op, args }),
+    subscribe: (listener) => onClusterEvent('store:state', listener),
+  };
+}
+
+registerStoreBackend('cluster', createClusterBackend);
+
+/**
+ * 启动集群主进程：维护登录信息存储，启动并守护 worker，转发 worker 之间的事件
+ * 第一个 worker 负责执行定时任务，该 worker 退出后由重新启动的 worker 接替
+ * @param {number} count worker 数量
+ */
+async function startPrimary(count) {
+  const store = createLoginStore();
+  await store.load();
+  let stopping = false;
+
+  /**
+   * @param {import('node:cluster').Worker} worker
+   * @param {ClusterMessage} message
+   */
+  const send = (worker, message) => {
+    if (worker.isConnected()) worker.send(message);
+  };
+
+  const workers = () => Object.values(cluster.workers || {}).filter((worker) => !!worker);
+
+  /**
+   * @param {import('node:cluster').Worker} worker
+   * @param {ClusterMessage} message
+   */
+  const onMessage = async (worker, message) => {
+    if (!message || typeof message !== 'object') return;
+    if (message.type === 'cluster:broadcast') {
+      workers().forEach((item) => item !== worker && send(item, message));
+      return;
+    }
+    if (message.type !== 'store:read' && message.type !== 'store:apply') return;
+
+    try {
+      if (message.type === 'store:apply') {
+        await store.apply(message.op, message.args);
+        // 先推送状态再回复，worker 收到回复时已收到包含本次修改的状态
+        const state = store.snapshot();
+        workers().forEach((item) => send(item, { type: 'store:state', payload: state }));
+        send(worker, { type: 'cluster:reply', id: message.id });
+      } else {
+        send(worker, { type: 'cluster:reply', id: message.id, data: store.snapshot() });
+      }
+    } catch (e) {
+      send(worker, { type: 'cluster:reply', id: message.id, error: e.message });
+    }
+  };
+
+  /**
+   * @param {'cron' | 'worker'} role
+   */
+  const fork = (role) => {
+    const worker = cluster.fork({ KUGOU_API_CLUSTER_ROLE: role });
+    worker.on('message', (message) => onMessage(worker, message));
+    worker.on('exit', (code, signal) => {
+      if (stopping) return;
+      logger.warn('worker 已退出，稍后重新启动', { pid: worker.process.pid, role, code, signal });
+      setTimeout(() => !stopping && fork(role), RESTART_DELAY);
+    });
+    return worker;
+  };
+
+  for (let index = 0; index < count; index++) {
+    fork(index === 0 ? 'cron' : 'worker');
+  }
+  logger.info(`集群模式已启动，共 ${count} 个 worker`, { pid: process.pid, store: store.backend });
+
+  /**
+   * 通知 worker 停止并等待其退出，超时后强制结束，最后写入存储
+   * @param {string} reason
+   */
+  const stop = async (reason) => {
+    stopping = true;
+    logger.info(`收到 ${reason}，正在停止所有 worker`);
+    const seconds = Number(process.env.KUGOU_API_SHUTDOWN_TIMEOUT);
+    const timeout = (process.env.KUGOU_API_SHUTDOWN_TIMEOUT && seconds >= 0 ? seconds * 1000 : 8000) + STOP_GRACE;
+
+    await Promise.all(
+      workers().map(
+        (worker) =>
+          new Promise((resolve) => {
+            if (worker.isDead()) return resolve(undefined);
+            const timer = setTimeout(() => {
+              logger.warn('worker 停止超时，强制结束', { pid: worker.process.pid });
+              worker.process.kill('SIGKILL');
+            }, timeout);
+            worker.once('exit', () => {
+              clearTimeout(timer);
+              resolve(undefined);
+            });
+            send(worker, { type: 'cluster:shutdown' });
+          })
+      )
+    );
+    await store.flush();
+    logger.info('集群已停止');
+  };
+
+  const onSignal = (signal) => {
+    if (stopping) process.exit(1);
+    stop(signal).then(
+      () => process.exit(0),
+      (e) => {
+        logger.error('停止集群失败', { error: e });
+        process.exit(1);
+      }
+    );
+  };
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+}
+
+module.exports = { broadcast, clusterWorkers, isClusterWorker, isCronWorker, onClusterEvent, startPrimary };
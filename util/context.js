@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+/**
+ * 请求上下文，在一次请求（或一次直接调用）内的所有异步调用中共享
+ * @typedef {{ platform?: import('./platform').Platform, [key: string]: any }} RequestContext
+ */
+
+/** @type {AsyncLocalStorage<RequestContext>} */
+const storage = new AsyncLocalStorage();
+
+/**
+ * 在新的上下文中执行，未指定的字段继承外层上下文
+ * @template T
+ * @param {RequestContext} context
+ * @param {() => T} fn
+ * @returns {T}
+ */
+const runWithContext = (context, fn) => storage.run({ ...(storage.getStore() || {}), ...context }, fn);
+
+/**
+ * 获取当前上下文，不在任何上下文中时返回空对象
+ * @returns {RequestContext}
+ */
+const getContext = () => storage.getStore() || {};
+
+module.exports = { runWithContext, getContext };
@@ -0,0 +1,69 @@
+const { LIMIT_ERROR_CODE } = require('./limiter');
+
+/**
+ * 上游错误分类，写入失败响应体的 error_class 字段
+ * - network: 连接失败、超时等没有收到响应的错误
+ * - upstream_5xx: 上游返回 5xx
+ * - auth_expired: 登录状态失效，需要重新登录
+ * - risk_control: 触发风控验证
+ * - rate_limited: 本服务对上游的限流（排队已满或排队超时），请求未发出
+ * - business: 其余业务错误（参数错误、无权限等）
+ * @typedef {'network' | 'upstream_5xx' | 'auth_expired' | 'risk_control' | 'rate_limited' | 'business'} ErrorClass
+ */
+
+// 可通过重试恢复的错误
+const RETRYABLE_CLASSES = ['network', 'upstream_5xx'];
+
+const AUTH_EXPIRED_PATTERN = /(token|登录|登陆).{0,6}(过期|失效|无效)|(请|需要)重新登录|未登录|token.{0,10}(expired|invalid)/i;
+const RISK_CONTROL_PATTERN = /风控|安全验证|异常请求|请求过于频繁/;
+
+/**
+ * 表示登录失效的 error_code，由 KUGOU_API_AUTH_EXPIRED_CODES 配置（逗号分隔），未配置时仅根据错误信息判断
+ * @returns {number[]}
+ */
+const authExpiredCodes = () =>
+  (process.env.KUGOU_API_AUTH_EXPIRED_CODES || '')
+    .split(',')
+    .map((item) => Number(item.trim()))
+    .filter(Boolean);
+
+/**
+ * 错误信息文本，兼容上游返回的 msg / error / err_msg 字段
+ * @param {any} body
+ * @returns {string}
+ */
+const errorMessage = (body) => {
+  if (!body || typeof body !== 'object') return '';
+  return [body.msg, body.error, body.err_msg, body.errmsg].filter((item) => typeof item === 'string').join(' ');
+};
+
+/**
+ * 对上游错误分类
+ * @param {{ error?: any, body?: any, headers?: Record<string, any> }} source error 为 axios 抛出的错误，body/headers 为上游响应
+ * @returns {ErrorClass}
+ */
+function classifyError({ error, body, headers = {} }) {
+  if (error?.isAxiosError) {
+    if (!error.response) return 'network';
+    if (error.response.status >= 500) return 'upstream_5xx';
+    headers = error.response.headers || headers;
+  } else if (error?.code === LIMIT_ERROR_CODE) {
+    return 'rate_limited';
+  } else if (error) {
+    return 'business';
+  }
+
+  if (headers['ssa-code']) return 'risk_control';
+  const message = errorMessage(body);
+  if (RISK_CONTROL_PATTERN.test(message)) return 'risk_control';
+  if (authExpiredCodes().includes(Number(body?.error_code || body?.errcode)) || AUTH_EXPIRED_PATTERN.test(message)) return 'auth_expired';
+  return 'business';
+}
+
+/**
+ * @param {ErrorClass} errorClass
+ * @returns {boolean}
+ */
+const isRetryable = (errorClass) => RETRYABLE_CLASSES.includes(errorClass);
+
+module.exports = { RETRYABLE_CLASSES, classifyError, isRetryable };
@@ -0,0 +1,80 @@
+const serverNow = require('../module/server_now');
+const { callModule } = require('./checkin');
+const { defaultPlatform } = require('./platform');
+const { getProxyPool } = require('./proxy');
+
+// 就绪检查结果的默认缓存时长，避免探针频繁请求酷狗接口
+const DEFAULT_READY_CACHE = 10000;
+
+/**
+ * @typedef {{
+ *  ready: boolean,
+ *  modules: number,
+ *  platform: import('./platform').Platform,
+ *  proxy: { configured: number, healthy: number, strategy: string },
+ *  upstream?: { ok: boolean, latencyMs: number, error?: string },
+ *  checkedAt: Date,
+ * }} ReadinessReport
+ */
+
+/**
+ * 探测 server_now 接口，确认签名与网络连通
+ * @param {Record<string, any>} cookie 设备信息 cookie
+ * @returns {Promise<{ ok: boolean, latencyMs: number, error?: string }>}
+ */
+async function probeUpstream(cookie) {
+  const start = Date.now();
+  try {
+    const body = await callModule(serverNow, { cookie });
+    const ok = body.status === 1 && !body.error_code;
+    return { ok, latencyMs: Date.now() - start, ...(ok ? {} : { error: body.error_class || `error_code ${body.error_code ?? body.status}` }) };
+  } catch (e) {
+    return { ok: false, latencyMs: Date.now() - start, error: e?.code || e?.message || String(e) };
+  }
+}
+
+/**
+ * 创建就绪检查，结果按是否探测上游分别缓存
+ * @param {{ moduleCount: () => number, cookie: () => Record<string, any>, ttl?: number }} options
+ */
+function createReadiness({ moduleCount, cookie, ttl = DEFAULT_READY_CACHE }) {
+  /** @type {Map<boolean, { report: Promise<ReadinessReport>, expiresAt: number }>} */
+  const cache = new Map();
+
+  /**
+   * @param {boolean} probe
+   * @returns {Promise<ReadinessReport>}
+   */
+  const run = async (probe) => {
+    const modules = moduleCount();
+    const pool = getProxyPool();
+    const proxies = pool.snapshot();
+    const upstream = probe ? await probeUpstream(cookie()) : undefined;
+    return {
+      ready: modules > 0 && (!upstream || upstream.ok),
+      modules,
+      platform: defaultPlatform(),
+      proxy: { configured: proxies.length, healthy: proxies.filter((item) => item.healthy).length, strategy: pool.strategy },
+      ...(upstream ? { upstream } : {}),
+      checkedAt: new Date(),
+    };
+  };
+
+  return {
+    /**
+     * @param {boolean} probe 是否探测上游
+     * @returns {Promise<ReadinessReport & { cached: boolean }>}
+     */
+    async check(probe) {
+      const cached = cache.get(probe);
+      if (cached && cached.expiresAt > Date.now()) return { ...(await cached.report), cached: true };
+
+      const report = run(probe);
+      // 并发的检查共享同一次探测
+      cache.set(probe, { report, expiresAt: Date.now() + ttl });
+      return { ...(await report), cached: false };
+    },
+  };
+}
+
+module.exports = { createReadiness, probeUpstream };
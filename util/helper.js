@@ -1,5 +1,5 @@
 const { cryptoMd5 } = require('./crypto');
-const { appid: useAppid, liteAppid, clientver: useClientver, liteClientver } = require('./config.json');
+const { isLitePlatform, platformConfig } = require('./platform');
 
 /**
  * web版本 signature 加密
@@ -22,7 +22,7 @@ const signatureWebParams = (params) => {
  * @returns {string} 加密后的signature
  */
 const signatureAndroidParams = (params, data) => {
-  const isLite = process.env.platform === 'lite';
+  const isLite = isLitePlatform();
   const str = isLite ? 'LnT6xpN3khm36zse0QzvmgTZ3waWdRSA' : `OIlwieks28dk2k092lksi2UIkp`;
   const paramsString = Object.keys(params)
     .sort()
@@ -68,7 +68,7 @@ const signParams = (params, data) => {
  * @returns {string} 加密后的sign
  */
 const signKey = (hash, mid, userid, appid) => {
-  const isLite = process.env.platform === 'lite';
+  const { isLite, appid: useAppid } = platformConfig();
   const str = isLite ? '185672dd44712f60bb1736df5a377e82' : '57ae12eb6890223e355ccfcb74edf70d';
   return cryptoMd5(`${hash}${str}${appid || useAppid}${mid}${userid || 0}`);
 };
@@ -93,12 +93,12 @@ const signCloudKey = (hash, pid) => {
  */
 
 const signParamsKey = (data, appid, clientver) => {
-  const isLite = process.env.platform === 'lite';
+  const { isLite, appid: useAppid, clientver: useClientver } = platformConfig();
   const str = isLite ? 'LnT6xpN3khm36zse0QzvmgTZ3waWdRSA' : 'OIlwieks28dk2k092lksi2UIkp';
 
-  appid = appid || (isLite ? liteAppid : useAppid);
+  appid = appid || useAppid;
 
-  clientver = clientver || (isLite ? liteClientver : useClientver);
+  clientver = clientver || useClientver;
 
   return cryptoMd5(`${appid}${str}${clientver}${data}`);
 };
@@ -13,9 +13,11 @@ const {
 } = require('./crypto');
 const { createRequest } = require('./request');
 const { signKey, signParams, signParamsKey, signCloudKey, signatureAndroidParams, signatureRegisterParams, signatureWebParams } = require('./helper');
-const { randomString, decodeLyrics, parseCookieString, cookieToJson, randomNumber } = require('./util');
+const { randomString, decodeLyrics, encodeLyrics, parseCookieString, cookieToJson, randomNumber } = require('./util');
+const { currentPlatform, isLitePlatform, platformConfig } = require('./platform');
+const { LYRIC_FORMATS, decodeLanguageTag, encodeLanguageTag, formatLyric, parseKrc, parseLrc, stringifyKrc } = require('./lyric');
 
-// 判断是否为概念版
+// 服务默认平台是否为概念版（加载时确定），按请求区分平台时请在模块内调用 platformConfig()
 const isLite = process.env.platform === 'lite';
 const useAppid = isLite ? liteAppid : appid;
 const useClientver = isLite ? liteClientver : clientver;
@@ -50,9 +52,20 @@ module.exports = {
   signatureWebParams,
   randomString,
   decodeLyrics,
+  encodeLyrics,
+  LYRIC_FORMATS,
+  decodeLanguageTag,
+  encodeLanguageTag,
+  formatLyric,
+  parseKrc,
+  parseLrc,
+  stringifyKrc,
   parseCookieString,
   cookieToJson,
   publicLiteRasKey,
   publicRasKey,
-  randomNumber
+  randomNumber,
+  currentPlatform,
+  isLitePlatform,
+  platformConfig,
 };
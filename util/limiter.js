@@ -0,0 +1,259 @@
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Limit');
+
+/**
+ * 令牌桶 + 最大并发数限制，超出限制的请求排队等待
+ * @typedef {{
+ *  rate?: number,
+ *  burst?: number,
+ *  concurrency?: number,
+ *  maxQueue?: number,
+ *  queueTimeout?: number,
+ * }} LimiterOptions
+ * rate 为每秒发放的令牌数，0 表示不限速；burst 为令牌桶容量，默认等于 rate；concurrency 为最大并发数，0 表示不限制；
+ * maxQueue 为最大排队数，超出时直接拒绝；queueTimeout 为排队超时时间（毫秒）
+ */
+
+/**
+ * @typedef {{
+ *  schedule: <T>(fn: () => Promise<T>) => Promise<T>,
+ *  idle: () => boolean,
+ *  snapshot: () => { active: number, queued: number, tokens: number | null },
+ * }} Limiter
+ */
+
+// 限流拒绝时的错误码，createRequest 据此返回 rate_limited 分类
+const LIMIT_ERROR_CODE = 'EUPSTREAMLIMIT';
+const DEFAULT_MAX_QUEUE = 100;
+const DEFAULT_QUEUE_TIMEOUT = 30000;
+// 按 userid 创建的限流器数量上限，超出时清理空闲的限流器
+const MAX_USER_LIMITERS = 1000;
+
+/**
+ * @param {string} message
+ * @returns {Error & { code: string }}
+ */
+const limitError = (message) => Object.assign(new Error(message), { code: LIMIT_ERROR_CODE });
+
+/**
+ * @param {LimiterOptions} options
+ * @returns {Limiter}
+ */
+function createLimiter({ rate = 0, burst, concurrency = 0, maxQueue = DEFAULT_MAX_QUEUE, queueTimeout = DEFAULT_QUEUE_TIMEOUT }) {
+  const capacity = burst || Math.max(1, rate);
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let active = 0;
+  /** @type {NodeJS.Timeout | null} */
+  let refillTimer = null;
+  /** @type {{ start: () => void, timer?: NodeJS.Timeout }[]} */
+  const queue = [];
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - refilledAt) / 1000) * rate);
+    refilledAt = now;
+  };
+
+  // 按排队顺序启动请求，令牌不足时等待下一个令牌发放
+  const drain = () => {
+    while (queue.length) {
+      if (concurrency && active >= concurrency) return;
+      if (rate) {
+        refill();
+        if (tokens < 1) {
+          if (!refillTimer) {
+            refillTimer = setTimeout(() => {
+              refillTimer = null;
+              drain();
+            }, Math.ceil(((1 - tokens) / rate) * 1000));
+            // 不阻止进程退出；排队中的请求由排队超时的定时器保持进程运行
+            refillTimer.unref();
+          }
+          return;
+        }
+        tokens -= 1;
+      }
+      const item = /** @type {{ start: () => void, timer?: NodeJS.Timeout }} */ (queue.shift());
+      if (item.timer) clearTimeout(item.timer);
+      active++;
+      item.start();
+    }
+  };
+
+  return {
+    schedule(fn) {
+      return new Promise((resolve, reject) => {
+        if (queue.length >= maxQueue) {
+          reject(limitError(`排队请求已达上限 ${maxQueue}`));
+          return;
+        }
+
+        /** @type {{ start: () => void, timer?: NodeJS.Timeout }} */
+        const item = {
+          start: () =>
+            Promise.resolve()
+              .then(fn)
+              .then(resolve, reject)
+              .finally(() => {
+                active--;
+                drain();
+              }),
+        };
+        queue.push(item);
+        drain();
+
+        if (queue.includes(item)) {
+          item.timer = setTimeout(() => {
+            queue.splice(queue.indexOf(item), 1);
+            reject(limitError(`排队超过 ${queueTimeout}ms`));
+          }, queueTimeout);
+        }
+      });
+    },
+    idle() {
+      if (rate) refill();
+      return active === 0 && queue.length === 0 && (!rate || tokens >= capacity);
+    },
+    snapshot() {
+      if (rate) refill();
+      return { active, queued: queue.length, tokens: rate ? Math.floor(tokens) : null };
+    },
+  };
+}
+
+/**
+ * 读取非负数字环境变量，未设置或无效时返回 fallback
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+const envNumber = (name, fallback) => {
+  const value = process.env[name] ? Number(process.env[name]) : NaN;
+  return value >= 0 ? value : fallback;
+};
+
+/**
+ * 解析单个上游域名的限制，格式为 `域名=每秒请求数:最大并发数`，如 `login-user.kugou.com=1:1`
+ * @param {string} raw KUGOU_API_HOST_LIMITS
+ * @returns {Record<string, { rate: number, concurrency: number }>}
+ */
+const parseHostLimits = (raw) => {
+  /** @type {Record<string, { rate: number, concurrency: number }>} */
+  const limits = {};
+  raw
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .forEach((item) => {
+      const match = item.match(/^([^=\s]+)\s*=\s*(\d+(?:\.\d+)?)?(?::(\d+))?$/);
+      if (!match) {
+        logger.warn(`无效的域名限制 ${item}，已忽略`);
+        return;
+      }
+      limits[match[1].toLowerCase()] = { rate: Number(match[2] || 0), concurrency: Number(match[3] || 0) };
+    });
+  return limits;
+};
+
+// 限流相关的环境变量，变化后重新创建限流器
+const LIMIT_ENV = [
+  'KUGOU_API_LIMIT_QUEUE',
+  'KUGOU_API_LIMIT_TIMEOUT',
+  'KUGOU_API_HOST_RATE',
+  'KUGOU_API_HOST_CONCURRENCY',
+  'KUGOU_API_HOST_LIMITS',
+  'KUGOU_API_USER_RATE',
+  'KUGOU_API_USER_CONCURRENCY',
+];
+
+/**
+ * 当前限流配置
+ */
+const limitSettings = () => {
+  const queue = {
+    maxQueue: envNumber('KUGOU_API_LIMIT_QUEUE', DEFAULT_MAX_QUEUE),
+    queueTimeout: envNumber('KUGOU_API_LIMIT_TIMEOUT', DEFAULT_QUEUE_TIMEOUT / 1000) * 1000,
+  };
+  return {
+    host: { rate: envNumber('KUGOU_API_HOST_RATE', 0), concurrency: envNumber('KUGOU_API_HOST_CONCURRENCY', 0), ...queue },
+    hosts: parseHostLimits(process.env.KUGOU_API_HOST_LIMITS || ''),
+    user: { rate: envNumber('KUGOU_API_USER_RATE', 0), concurrency: envNumber('KUGOU_API_USER_CONCURRENCY', 0), ...queue },
+    queue,
+  };
+};
+
+/** @type {{ raw: string, settings: ReturnType<typeof limitSettings>, hosts: Map<string, Limiter | null>, users: Map<string, Limiter> } | null} */
+let registry = null;
+
+const currentRegistry = () => {
+  const raw = LIMIT_ENV.map((name) => process.env[name] || '').join('\n');
+  if (!registry || registry.raw !== raw) {
+    registry = { raw, settings: limitSettings(), hosts: new Map(), users: new Map() };
+  }
+  return registry;
+};
+
+/**
+ * @param {string} host
+ * @returns {Limiter | null} 未配置限制时返回 null
+ */
+const hostLimiter = (host) => {
+  const { settings, hosts } = currentRegistry();
+  if (!hosts.has(host)) {
+    const options = settings.hosts[host] ? { ...settings.queue, ...settings.hosts[host] } : settings.host;
+    hosts.set(host, options.rate || options.concurrency ? createLimiter(options) : null);
+  }
+  return hosts.get(host) || null;
+};
+
+/**
+ * @param {string | number} userid
+ * @returns {Limiter | null} 未登录或未配置限制时返回 null
+ */
+const userLimiter = (userid) => {
+  const { settings, users } = currentRegistry();
+  if (!userid || userid === '0' || !(settings.user.rate || settings.user.concurrency)) return null;
+  const key = String(userid);
+  let limiter = users.get(key);
+  if (!limiter) {
+    if (users.size >= MAX_USER_LIMITERS) {
+      users.forEach((item, id) => item.idle() && users.delete(id));
+    }
+    limiter = createLimiter(settings.user);
+    users.set(key, limiter);
+  }
+  return limiter;
+};
+
+/**
+ * 在上游域名（以及 userid）的限制下执行请求，先按域名排队，再按用户排队，
+ * 避免等待域名限流期间一直占用该用户的并发数
+ * @template T
+ * @param {string} host 上游域名
+ * @param {string | number} userid
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function withUpstreamLimit(host, userid, fn) {
+  const byHost = hostLimiter(host.toLowerCase());
+  const byUser = userLimiter(userid);
+  const run = byUser ? () => byUser.schedule(fn) : fn;
+  return byHost ? byHost.schedule(run) : run();
+}
+
+/**
+ * 各上游域名限流器的状态
+ * @returns {Record<string, { active: number, queued: number, tokens: number | null }>}
+ */
+function limiterSnapshot() {
+  /** @type {Record<string, { active: number, queued: number, tokens: number | null }>} */
+  const result = {};
+  currentRegistry().hosts.forEach((limiter, host) => {
+    if (limiter) result[host] = limiter.snapshot();
+  });
+  return result;
+}
+
+module.exports = { LIMIT_ERROR_CODE, createLimiter, limiterSnapshot, parseHostLimits, withUpstreamLimit };
@@ -0,0 +1,397 @@
+/**
+ * KRC 逐字歌词解析与格式转换
+ *
+ * KRC 解密后为文本，由标签行与歌词行组成:
+ * ```
+ * [ti:歌名]
+ * [offset:0]
+ * [1000,2500]<0,500,0>逐<500,600,0>字<1100,1400,0>歌词
+ * ```
+ * 歌词行的 `[开始时间,持续时间]` 单位为毫秒，`<偏移,持续时间,0>` 为每个字相对行开始时间的偏移与持续时间
+ * `[language:...]` 标签为 base64 编码的 JSON，包含与歌词行一一对应的翻译与音译
+ */
+
+/**
+ * @typedef {{ start: number, duration: number, text: string, romanization?: string }} LyricWord start 为绝对时间（毫秒）
+ * @typedef {{ start: number, duration: number, text: string, words: LyricWord[], translation?: string, romanization?: string }} LyricLine
+ * @typedef {{
+ *  ti?: string,
+ *  ar?: string,
+ *  al?: string,
+ *  by?: string,
+ *  offset?: number,
+ *  language?: string,
+ *  [key: string]: string | number | undefined,
+ * }} LyricTags offset 为毫秒；language 为 base64 编码的翻译与音译
+ * @typedef {{ tags: LyricTags, lines: LyricLine[] }} ParsedLyric
+ * @typedef {{ translation?: boolean, romanization?: boolean }} FormatOptions 是否在歌词行下方附加翻译、音译
+ */
+
+/**
+ * 支持转换的格式：lrc 标准 LRC，elrc 增强（A2）LRC 逐字歌词，srt / vtt 字幕，ttml 逐字歌词（Apple Music 风格）
+ * @typedef {'lrc' | 'elrc' | 'srt' | 'vtt' | 'ttml'} LyricFormat
+ */
+const LYRIC_FORMATS = ['lrc', 'elrc', 'srt', 'vtt', 'ttml'];
+
+const TAG_LINE = /^\[([A-Za-z_#]+):(.*)\]$/;
+const KRC_LINE = /^\[(\d+),(\d+)\](.*)$/;
+const KRC_WORD = /<(\d+),(\d+),\d+>([^<]*)/g;
+const LRC_TIME = /\[(\d+):(\d+(?:\.\d+)?)\]/g;
+const LRC_WORD_TIME = /<(\d+):(\d+(?:\.\d+)?)>/;
+// 无法确定结束时间的行（如 LRC 最后一行）在字幕中显示的时长
+const DEFAULT_LINE_DURATION = 5000;
+
+/**
+ * 解码 KRC 的 [language] 标签，content 中 type 为 1 的是翻译（每行一个字符串），type 为 0 的是音译（每行按字拆分）
+ * @param {string} value 标签内容
+ * @returns {{ translation: string[][] | null, romanization: string[][] | null }} 与歌词行一一对应，无法解码时为 null
+ */
+function decodeLanguageTag(value) {
+  /** @type {{ translation: string[][] | null, romanization: string[][] | null }} */
+  const result = { translation: null, romanization: null };
+  try {
+    const data = JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+    (Array.isArray(data?.content) ? data.content : []).forEach((item) => {
+      if (!Array.isArray(item?.lyricContent)) return;
+      const lines = item.lyricContent.map((line) => (Array.isArray(line) ? line.map(String) : [String(line ?? '')]));
+      if (item.type === 1) result.translation = lines;
+      else if (item.type === 0) result.romanization = lines;
+    });
+  } catch (e) {
+    // 标签内容损坏时忽略翻译
+  }
+  return result;
+}
+
+/**
+ * 将翻译与音译按顺序写入歌词行，音译与逐字数量一致时同时写入每个字
+ * @param {LyricLine[]} lines 文件中的原始顺序
+ * @param {string} value [language] 标签内容
+ */
+const attachLanguage = (lines, value) => {
+  const { translation, romanization } = decodeLanguageTag(value);
+  lines.forEach((line, index) => {
+    const translated = translation?.[index];
+    if (translated) line.translation = translated.join('').trim();
+    const syllables = romanization?.[index];
+    if (!syllables) return;
+    line.romanization = syllables.join('').replace(/\s+/g, ' ').trim();
+    if (syllables.length === line.words.length) line.words.forEach((word, i) => (word.romanization = syllables[i].trim()));
+  });
+};
+
+/**
+ * 解析 KRC 文本
+ * @param {string} text 解密后的 KRC，可由 decodeLyrics 获得
+ * @returns {ParsedLyric}
+ */
+function parseKrc(text) {
+  /** @type {LyricTags} */
+  const tags = {};
+  /** @type {LyricLine[]} */
+  const lines = [];
+
+  String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .forEach((line) => {
+      const lineMatch = line.match(KRC_LINE);
+      if (lineMatch) {
+        const start = Number(lineMatch[1]);
+        const content = lineMatch[3];
+        /** @type {LyricWord[]} */
+        const words = [];
+        for (const word of content.matchAll(KRC_WORD)) {
+          words.push({ start: start + Number(word[1]), duration: Number(word[2]), text: word[3] });
+        }
+        lines.push({
+          start,
+          duration: Number(lineMatch[2]),
+          // 没有逐字时间的行，整行作为歌词
+          text: words.length ? words.map((word) => word.text).join('') : content,
+          words,
+        });
+        return;
+      }
+
+      const tagMatch = line.match(TAG_LINE);
+      if (tagMatch) {
+        const key = tagMatch[1];
+        const value = tagMatch[2].trim();
+        tags[key] = key === 'offset' ? Number(value) || 0 : value;
+      }
+    });
+
+  if (typeof tags.language === 'string' && tags.language) attachLanguage(lines, tags.language);
+  lines.sort((a, b) => a.start - b.start);
+  return { tags, lines };
+}
+
+/**
+ * 将翻译与音译编码为 [language] 标签，与 decodeLanguageTag 对应
+ * @param {LyricLine[]} lines
+ * @returns {string} 没有翻译与音译时返回空字符串
+ */
+function encodeLanguageTag(lines) {
+  const content = [];
+  if (lines.some((line) => line.romanization)) {
+    const lyricContent = lines.map((line) =>
+      line.words.length && line.words.every((word) => word.romanization !== undefined)
+        ? line.words.map((word) => `${word.romanization} `)
+        : [line.romanization || '']
+    );
+    content.push({ language: 0, type: 0, lyricContent });
+  }
+  if (lines.some((line) => line.translation)) {
+    content.push({ language: 0, type: 1, lyricContent: lines.map((line) => [line.translation || '']) });
+  }
+  return content.length ? Buffer.from(JSON.stringify({ content, version: 1 })).toString('base64') : '';
+}
+
+/**
+ * 将解析后的歌词还原为 KRC 文本，与 parseKrc 对应
+ * 未设置 language 标签时根据每行的 translation / romanization 生成
+ * @param {ParsedLyric} lyric
+ * @returns {string}
+ */
+function stringifyKrc(lyric) {
+  const tags = { ...lyric.tags };
+  if (!tags.language) {
+    const language = encodeLanguageTag(lyric.lines);
+    if (language) tags.language = language;
+    else delete tags.language;
+  }
+  const header = Object.keys(tags)
+    .filter((key) => tags[key] !== undefined)
+    .map((key) => `[${key}:${tags[key]}]`);
+  const lines = lyric.lines.map((line) => {
+    const start = Math.round(line.start);
+    const content = line.words.length
+      ? line.words.map((word) => `<${Math.round(word.start) - start},${Math.round(word.duration)},0>${word.text}`).join('')
+      : line.text;
+    return `[${start},${Math.round(line.duration)}]${content}`;
+  });
+  return header.concat(lines).join('\r\n');
+}
+
+/**
+ * @param {string} minutes
+ * @param {string} seconds
+ * @returns {number} 毫秒
+ */
+const lrcTime = (minutes, seconds) => Math.round((Number(minutes) * 60 + Number(seconds)) * 1000);
+
+/**
+ * 解析 LRC 文本（包括增强 LRC 的 `<mm:ss.xx>` 逐字时间），行的持续时间为到下一行开始的时间，最后一行为 0
+ * @param {string} text
+ * @returns {ParsedLyric}
+ */
+function parseLrc(text) {
+  /** @type {LyricTags} */
+  const tags = {};
+  /** @type {LyricLine[]} */
+  const lines = [];
+
+  String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .forEach((line) => {
+      const times = [...line.matchAll(LRC_TIME)];
+      if (!times.length || times[0].index !== 0) {
+        const tagMatch = line.match(TAG_LINE);
+        if (tagMatch) tags[tagMatch[1]] = tagMatch[1] === 'offset' ? Number(tagMatch[2].trim()) || 0 : tagMatch[2].trim();
+        return;
+      }
+
+      const content = line.replace(LRC_TIME, '');
+      // 增强 LRC：<时间>字<时间>字<结束时间>
+      const parts = content.split(new RegExp(LRC_WORD_TIME.source));
+      /** @type {LyricWord[]} */
+      const words = [];
+      for (let index = 1; index + 2 < parts.length; index += 3) {
+        const start = lrcTime(parts[index], parts[index + 1]);
+        const next = index + 4 < parts.length ? lrcTime(parts[index + 3], parts[index + 4]) : start;
+        if (parts[index + 2]) words.push({ start, duration: Math.max(0, next - start), text: parts[index + 2] });
+      }
+      const lineText = words.length ? words.map((word) => word.text).join('') : parts[0].trim();
+      times.forEach((time) => {
+        const start = lrcTime(time[1], time[2]);
+        lines.push({ start, duration: 0, text: lineText, words: start === words[0]?.start || !words.length ? words : [] });
+      });
+    });
+
+  lines.sort((a, b) => a.start - b.start);
+  lines.forEach((line, index) => {
+    const last = line.words[line.words.length - 1];
+    line.duration = index + 1 < lines.length ? lines[index + 1].start - line.start : last ? last.start + last.duration - line.start : 0;
+  });
+  return { tags, lines };
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} mm:ss.xx
+ */
+const formatLrcTime = (ms) => {
+  const value = Math.max(0, Math.round(ms / 10));
+  const [minutes, seconds, centiseconds] = [Math.floor(value / 6000), Math.floor((value % 6000) / 100), value % 100];
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(centiseconds).padStart(2, '0')}`;
+};
+
+/**
+ * @param {number} ms
+ * @param {string} separator 毫秒前的分隔符，srt 为逗号，vtt / ttml 为点
+ * @returns {string} HH:MM:SS.mmm
+ */
+const formatClockTime = (ms, separator) => {
+  const value = Math.max(0, Math.round(ms));
+  const hours = Math.floor(value / 3600000);
+  const minutes = Math.floor((value % 3600000) / 60000);
+  const seconds = Math.floor((value % 60000) / 1000);
+  return `${[hours, minutes, seconds].map((item) => String(item).padStart(2, '0')).join(':')}${separator}${String(value % 1000).padStart(3, '0')}`;
+};
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * LRC 头部标签，language 等二进制标签不输出
+ * @param {LyricTags} tags
+ * @returns {string[]}
+ */
+const lrcTags = (tags) =>
+  ['ti', 'ar', 'al', 'by', 'offset']
+    .filter((key) => tags[key] !== undefined && tags[key] !== '' && tags[key] !== 0)
+    .map((key) => `[${key}:${tags[key]}]`);
+
+/**
+ * 字幕中显示的行：去掉空行，按 offset 调整时间，结束时间不晚于下一行开始
+ * @param {ParsedLyric} lyric
+ * @returns {{ start: number, end: number, line: LyricLine }[]}
+ */
+const timedLines = (lyric) => {
+  const offset = Number(lyric.tags.offset) || 0;
+  const lines = lyric.lines.filter((line) => line.text.trim());
+  return lines.map((line, index) => {
+    const start = line.start - offset;
+    const end = start + (line.duration || DEFAULT_LINE_DURATION);
+    const next = lines[index + 1];
+    return { start, end: next && !line.duration ? Math.min(end, next.start - offset) : end, line };
+  });
+};
+
+/**
+ * 需要附加在歌词行下方的翻译、音译
+ * @param {LyricLine} line
+ * @param {FormatOptions} options
+ * @returns {string[]}
+ */
+const extraTexts = (line, options) =>
+  /** @type {string[]} */ ([options.translation && line.translation, options.romanization && line.romanization].filter(Boolean));
+
+/**
+ * 双语 LRC：翻译、音译作为相同时间的歌词行跟在原文之后
+ * @param {ParsedLyric} lyric
+ * @param {FormatOptions} options
+ * @param {(line: LyricLine) => string} content 原文行的内容
+ * @returns {string}
+ */
+const lrcLines = (lyric, options, content) =>
+  lrcTags(lyric.tags)
+    .concat(
+      ...lyric.lines.map((line) => {
+        const time = `[${formatLrcTime(line.start)}]`;
+        return [`${time}${content(line)}`, ...extraTexts(line, options).map((text) => `${time}${text}`)];
+      })
+    )
+    .join('\n');
+
+/** @type {Record<LyricFormat, (lyric: ParsedLyric, options: FormatOptions) => string>} */
+const formatters = {
+  lrc: (lyric, options) => lrcLines(lyric, options, (line) => line.text),
+  elrc: (lyric, options) =>
+    lrcLines(lyric, options, (line) => {
+      if (!line.words.length) return line.text;
+      const last = line.words[line.words.length - 1];
+      const words = line.words.map((word) => `<${formatLrcTime(word.start)}>${word.text}`).join('');
+      return `${words}<${formatLrcTime(last.start + last.duration)}>`;
+    }),
+  srt: (lyric, options) =>
+    timedLines(lyric)
+      .map(({ start, end, line }, index) => {
+        const text = [line.text, ...extraTexts(line, options)].join('\n');
+        return `${index + 1}\n${formatClockTime(start, ',')} --> ${formatClockTime(end, ',')}\n${text}\n`;
+      })
+      .join('\n'),
+  vtt: (lyric, options) =>
+    ['WEBVTT', '']
+      .concat(
+        timedLines(lyric).map(({ start, end, line }) => {
+          const text = [line.text, ...extraTexts(line, options)].join('\n');
+          return `${formatClockTime(start, '.')} --> ${formatClockTime(end, '.')}\n${text}\n`;
+        })
+      )
+      .join('\n'),
+  ttml: (lyric, options) => {
+    const offset = Number(lyric.tags.offset) || 0;
+    const lines = timedLines(lyric);
+    const wordTiming = lines.some(({ line }) => line.words.length);
+    const paragraphs = lines.map(({ start, end, line }) => {
+      const content = line.words.length
+        ? line.words
+            .map((word) => {
+              const begin = formatClockTime(word.start - offset, '.');
+              return `<span begin="${begin}" end="${formatClockTime(word.start + word.duration - offset, '.')}">${escapeXml(word.text)}</span>`;
+            })
+            .join('')
+        : escapeXml(line.text);
+      const translation = options.translation && line.translation ? `<span ttm:role="x-translation">${escapeXml(line.translation)}</span>` : '';
+      const romanization = options.romanization && line.romanization ? `<span ttm:role="x-roman">${escapeXml(line.romanization)}</span>` : '';
+      return `      <p begin="${formatClockTime(start, '.')}" end="${formatClockTime(end, '.')}">${content}${translation}${romanization}</p>`;
+    });
+    const end = lines.length ? lines[lines.length - 1].end : 0;
+    const metadata = [
+      lyric.tags.ti ? `      <ttm:title>${escapeXml(String(lyric.tags.ti))}</ttm:title>` : '',
+      lyric.tags.ar
+        ? `      <ttm:agent type="person" xml:id="v1"><ttm:name type="full">${escapeXml(String(lyric.tags.ar))}</ttm:name></ttm:agent>`
+        : '',
+    ].filter(Boolean);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttm="http://www.w3.org/ns/ttml#metadata" xmlns:itunes="http://music.apple.com/lyric-ttml-internal" itunes:timing="${
+        wordTiming ? 'Word' : 'Line'
+      }">`,
+      ...(metadata.length ? ['  <head>', '    <metadata>', ...metadata, '    </metadata>', '  </head>'] : []),
+      `  <body dur="${formatClockTime(end, '.')}">`,
+      '    <div>',
+      ...paragraphs,
+      '    </div>',
+      '  </body>',
+      '</tt>',
+    ].join('\n');
+  },
+};
+
+/**
+ * 将歌词转换为指定格式
+ * 传入文本时，包含 `[开始时间,持续时间]` 行的按 KRC 解析，否则按 LRC 解析；KRC 需要先通过 decodeLyrics 解密
+ * lrc / elrc 保留 [offset] 标签与原始时间，srt / vtt / ttml 没有 offset 的概念，输出时按 offset 调整时间
+ * options.translation / romanization 为 true 时附加翻译、音译，如 lrc 格式即为双语 LRC
+ * @param {string | ParsedLyric} lyric
+ * @param {LyricFormat} format
+ * @param {FormatOptions} [options]
+ * @returns {string}
+ */
+function formatLyric(lyric, format, options = {}) {
+  const formatter = formatters[format];
+  if (!formatter) throw new Error(`不支持的歌词格式: ${format}，可选值为 ${LYRIC_FORMATS.join(' / ')}`);
+  const parsed = typeof lyric === 'string' ? (/^\[\d+,\d+\]/m.test(lyric) ? parseKrc(lyric) : parseLrc(lyric)) : lyric;
+  return formatter(parsed, options);
+}
+
+module.exports = { LYRIC_FORMATS, decodeLanguageTag, encodeLanguageTag, formatLyric, parseKrc, parseLrc, stringifyKrc };
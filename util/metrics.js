@@ -0,0 +1,192 @@
+/**
+ * Prometheus 文本格式的指标，仅实现本服务用到的 counter / histogram
+ * @typedef {Record<string, string | number>} Labels
+ * @typedef {{ labels: Labels, value: number, suffix?: string }} Sample
+ * @typedef {{ name: string, help: string, type: 'counter' | 'gauge' | 'histogram', samples: () => Sample[] }} Metric
+ */
+
+// 接口耗时分布的分桶（秒）
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * @param {Labels} labels
+ * @returns {string}
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map((key) => `${key}="${escapeLabel(String(labels[key]))}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * 按 labelNames 的顺序生成 key，保证相同标签的样本合并
+ * @param {string[]} labelNames
+ * @param {Labels} labels
+ * @returns {string}
+ */
+const labelKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+
+/**
+ * @param {string[]} labelNames
+ * @param {string} key
+ * @returns {Labels}
+ */
+const keyLabels = (labelNames, key) => {
+  const values = JSON.parse(key);
+  /** @type {Labels} */
+  const labels = {};
+  labelNames.forEach((name, index) => (labels[name] = values[index]));
+  return labels;
+};
+
+function createRegistry() {
+  /** @type {Metric[]} */
+  const metrics = [];
+
+  return {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     */
+    counter(name, help, labelNames = []) {
+      /** @type {Map<string, number>} */
+      const values = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'counter',
+        samples: () => Array.from(values, ([key, value]) => ({ labels: keyLabels(labelNames, key), value })),
+      });
+      return {
+        /**
+         * @param {Labels} [labels]
+         * @param {number} [value]
+         */
+        inc(labels = {}, value = 1) {
+          const key = labelKey(labelNames, labels);
+          values.set(key, (values.get(key) || 0) + value);
+        },
+      };
+    },
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets]
+     */
+    histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+      /** @type {Map<string, { counts: number[], sum: number, count: number }>} */
+      const values = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'histogram',
+        samples: () => {
+          /** @type {Sample[]} */
+          const samples = [];
+          values.forEach((item, key) => {
+            const labels = keyLabels(labelNames, key);
+            buckets.forEach((bound, index) => samples.push({ suffix: '_bucket', labels: { ...labels, le: bound }, value: item.counts[index] }));
+            samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: item.count });
+            samples.push({ suffix: '_sum', labels, value: item.sum });
+            samples.push({ suffix: '_count', labels, value: item.count });
+          });
+          return samples;
+        },
+      });
+      return {
+        /**
+         * @param {Labels} labels
+         * @param {number} value
+         */
+        observe(labels, value) {
+          const key = labelKey(labelNames, labels);
+          let item = values.get(key);
+          if (!item) {
+            item = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+            values.set(key, item);
+          }
+          // 分桶为累计值：value 计入所有上界不小于它的桶
+          buckets.forEach((bound, index) => {
+            if (value <= bound) item.counts[index]++;
+          });
+          item.sum += value;
+          item.count++;
+        },
+      };
+    },
+    /**
+     * 注册在输出时才读取的指标，如 apicache 命中率
+     * @param {Metric} metric
+     */
+    collect(metric) {
+      metrics.push(metric);
+    },
+    /**
+     * @returns {string}
+     */
+    render() {
+      return metrics
+        .map((metric) => {
+          const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+          metric.samples().forEach((sample) => lines.push(`${metric.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${sample.value}`));
+          return lines.join('\n');
+        })
+        .join('\n')
+        .concat('\n');
+    },
+  };
+}
+
+const registry = createRegistry();
+
+const httpRequests = registry.counter('kugou_api_http_requests_total', '接口请求数', ['route', 'method', 'status']);
+const httpDuration = registry.histogram('kugou_api_http_request_duration_seconds', '接口耗时', ['route']);
+const upstreamErrors = registry.counter('kugou_api_upstream_errors_total', '上游错误数，code 为 error_code、HTTP 状态码或网络错误码', [
+  'host',
+  'code',
+  'class',
+]);
+const cronRuns = registry.counter('kugou_api_cron_runs_total', '签到任务执行次数', ['trigger', 'status']);
+
+/**
+ * 是否启用 /metrics，可通过 KUGOU_API_METRICS=false 关闭
+ * @returns {boolean}
+ */
+const metricsEnabled = () => process.env.KUGOU_API_METRICS !== 'false';
+
+/**
+ * 统计接口请求数与耗时的中间件，route 为模块路由（而不是实际请求路径），避免标签数量无限增长
+ * @param {string} route
+ * @returns {import('express').RequestHandler}
+ */
+const metricsMiddleware = (route) => (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    httpDuration.observe({ route }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+};
+
+/**
+ * 记录一次上游错误（包括会被重试的错误）
+ * @param {string} host
+ * @param {string | number} code
+ * @param {import('./errors').ErrorClass} errorClass
+ */
+const recordUpstreamError = (host, code, errorClass) => upstreamErrors.inc({ host, code, class: errorClass });
+
+/**
+ * @param {'cron' | 'manual'} trigger
+ * @param {string} status 签到结果 success / expired / failed
+ */
+const recordCronRun = (trigger, status) => cronRuns.inc({ trigger, status });
+
+module.exports = { createRegistry, metricsEnabled, metricsMiddleware, recordCronRun, recordUpstreamError, registry };
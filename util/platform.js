@@ -0,0 +1,106 @@
+const config = require('./config.json');
+const { getContext, runWithContext } = require('./context');
+
+/**
+ * standard 为标准版，lite 为概念版
+ * @typedef {'standard' | 'lite'} Platform
+ */
+
+/**
+ * @typedef {{
+ *  platform: Platform,
+ *  isLite: boolean,
+ *  appid: number,
+ *  clientver: number,
+ *  wx_appid: string,
+ *  wx_secret: string,
+ * }} PlatformConfig
+ */
+
+// 请求中指定平台的 header / query 参数名，cookie 名同 query
+const PLATFORM_HEADER = 'x-kugou-platform';
+const PLATFORM_PARAM = 'KUGOU_API_PLATFORM';
+
+/**
+ * 规范化平台名称，无法识别时返回 undefined
+ * @param {unknown} value
+ * @returns {Platform | undefined}
+ */
+const normalizePlatform = (value) => {
+  if (typeof value !== 'string') return undefined;
+  const platform = value.trim().toLowerCase();
+  if (platform === 'lite') return 'lite';
+  if (platform === 'standard') return 'standard';
+  return undefined;
+};
+
+/**
+ * 服务默认平台，由 process.env.platform（或 --platform）决定
+ * @returns {Platform}
+ */
+const defaultPlatform = () => (process.env.platform === 'lite' ? 'lite' : 'standard');
+
+/**
+ * 当前请求使用的平台，不在请求上下文中时使用默认平台
+ * @returns {Platform}
+ */
+const currentPlatform = () => getContext().platform || defaultPlatform();
+
+/**
+ * 当前请求是否为概念版
+ * @returns {boolean}
+ */
+const isLitePlatform = () => currentPlatform() === 'lite';
+
+/**
+ * 获取平台对应的 appid / clientver 等配置，需在调用时获取而不是在模块加载时
+ * @param {Platform} [platform]
+ * @returns {PlatformConfig}
+ */
+const platformConfig = (platform = currentPlatform()) => {
+  const isLite = platform === 'lite';
+  return {
+    platform,
+    isLite,
+    appid: isLite ? config.liteAppid : config.appid,
+    clientver: isLite ? config.liteClientver : config.clientver,
+    wx_appid: isLite ? config.wx_lite_appid : config.wx_appid,
+    wx_secret: isLite ? config.wx_lite_secret : config.wx_secret,
+  };
+};
+
+/**
+ * 解析请求指定的平台，优先级：query > header > cookie > 默认平台
+ * @param {{ query?: Record<string, any>, headers?: Record<string, any> }} req
+ * @param {Record<string, any>} [cookie] 合并后的请求 cookie
+ * @returns {Platform}
+ */
+const resolveRequestPlatform = (req, cookie = {}) =>
+  normalizePlatform(req.query?.[PLATFORM_PARAM]) ||
+  normalizePlatform(req.headers?.[PLATFORM_HEADER]) ||
+  normalizePlatform(cookie[PLATFORM_PARAM]) ||
+  defaultPlatform();
+
+/**
+ * 在指定平台下执行，platform 无效时沿用当前平台
+ * @template T
+ * @param {unknown} platform
+ * @param {() => T} fn
+ * @returns {T}
+ */
+const withPlatform = (platform, fn) => {
+  const normalized = normalizePlatform(platform);
+  return normalized ? runWithContext({ platform: normalized }, fn) : fn();
+};
+
+module.exports = {
+  PLATFORM_HEADER,
+  PLATFORM_PARAM,
+  normalizePlatform,
+  defaultPlatform,
+  currentPlatform,
+  isLitePlatform,
+  platformConfig,
+  resolveRequestPlatform,
+  withPlatform,
+};
@@ -0,0 +1,352 @@
+const axios = require('axios');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { proxyLabel, resolveProxies } = require('./runtime');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('proxy');
+
+/**
+ * @typedef {import('./runtime').ProxyConfig} ProxyConfig
+ * @typedef {{ httpAgent: import('http').Agent, httpsAgent: import('http').Agent }} ProxyAgents
+ */
+
+// 缓存的代理数量上限，请求参数可以指定任意代理，避免连接池无限增长
+const MAX_CACHED_AGENTS = 64;
+const DEFAULT_EGRESS_CHECK_URL = 'https://api.ipify.org?format=json';
+const PROBE_TIMEOUT = 8000;
+// 连续失败多少次后标记为不可用
+const DEFAULT_MAX_FAILS = 2;
+// 不可用代理的探测间隔
+const DEFAULT_PROBE_INTERVAL = 60000;
+// 触发风控的代理暂停使用的时长，期间不参与探测（探测只能确认连通性，无法确认风控是否解除）
+const DEFAULT_COOLDOWN = 10 * 60000;
+// 空闲连接的超时时间，超时后关闭，被移出缓存的 Agent 也会因此释放连接
+const AGENT_OPTIONS = { keepAlive: true, timeout: 60000 };
+
+/** @type {Map<string, ProxyAgents>} */
+const agentCache = new Map();
+
+/**
+ * 获取代理对应的 http/https Agent，按代理地址复用
+ * HTTP(S) 代理访问 https 上游时通过 CONNECT 建立隧道，SOCKS 代理对两种上游使用同一个 Agent
+ * @param {ProxyConfig} proxy
+ * @returns {ProxyAgents}
+ */
+function proxyAgents(proxy) {
+  const cached = agentCache.get(proxy.url);
+  if (cached) {
+    // 重新插入，保持最近使用的在末尾
+    agentCache.delete(proxy.url);
+    agentCache.set(proxy.url, cached);
+    return cached;
+  }
+
+  /** @type {ProxyAgents} */
+  let agents;
+  if (proxy.protocol.startsWith('socks')) {
+    const agent = new SocksProxyAgent(proxy.url, AGENT_OPTIONS);
+    agents = { httpAgent: agent, httpsAgent: agent };
+  } else {
+    agents = {
+      httpAgent: new HttpProxyAgent(proxy.url, AGENT_OPTIONS),
+      httpsAgent: new HttpsProxyAgent(proxy.url, AGENT_OPTIONS),
+    };
+  }
+
+  agentCache.set(proxy.url, agents);
+  if (agentCache.size > MAX_CACHED_AGENTS) {
+    agentCache.delete(agentCache.keys().next().value);
+  }
+  return agents;
+}
+
+/**
+ * 通过代理请求时的 axios 配置，关闭 axios 自带的代理处理，改由 Agent 转发
+ * @param {ProxyConfig} proxy
+ * @returns {{ proxy: false } & ProxyAgents}
+ */
+function proxyRequestOptions(proxy) {
+  return { proxy: false, ...proxyAgents(proxy) };
+}
+
+/**
+ * 检查能否通过代理连通酷狗网关
+ * 网关返回的 4xx 也视为连通；CONNECT 失败时代理返回的 407/5xx 会作为响应透传，视为不通
+ * @param {ProxyConfig} proxy
+ * @returns {Promise<void>} 不通时抛出错误
+ */
+async function probeGateway(proxy) {
+  await axios({
+    url: 'https://gateway.kugou.com/',
+    method: 'GET',
+    timeout: PROBE_TIMEOUT,
+    validateStatus: (status) => status < 500 && status !== 407,
+    ...proxyRequestOptions(proxy),
+  });
+}
+
+/**
+ * @typedef {{
+ *  proxy: ProxyConfig,
+ *  label: string,
+ *  healthy: boolean,
+ *  failures: number,
+ *  requests: number,
+ *  totalFailures: number,
+ *  lastUsedAt: number,
+ *  lastFailedAt: number,
+ *  lastError: string | null,
+ *  lastProbeAt: number,
+ *  cooldownUntil: number,
+ * }} PoolEntry
+ */
+
+/**
+ * @typedef {'round-robin' | 'least-failed'} PoolStrategy
+ */
+
+/**
+ * 创建代理池
+ * round-robin 依次轮换健康的代理；least-failed 优先使用最久未失败的代理
+ * 连续失败达到 maxFails 次标记为不可用，风控响应立即标记并冷却 cooldown 毫秒
+ * 后台定时探测不可用的代理，恢复后重新加入轮换；所有代理都不可用时使用最久未失败的代理，不会回退为直连
+ * @param {ProxyConfig[]} proxies
+ * @param {{
+ *  strategy?: PoolStrategy,
+ *  maxFails?: number,
+ *  probeInterval?: number,
+ *  cooldown?: number,
+ *  probe?: (proxy: ProxyConfig) => Promise<void>,
+ * }} [options]
+ */
+function createProxyPool(proxies, options = {}) {
+  const strategy = options.strategy === 'least-failed' ? 'least-failed' : 'round-robin';
+  const maxFails = options.maxFails || DEFAULT_MAX_FAILS;
+  const probeInterval = options.probeInterval || DEFAULT_PROBE_INTERVAL;
+  const cooldown = options.cooldown ?? DEFAULT_COOLDOWN;
+  const probe = options.probe || probeGateway;
+
+  /** @type {PoolEntry[]} */
+  const entries = proxies.map((proxy) => ({
+    proxy,
+    label: proxyLabel(proxy),
+    healthy: true,
+    failures: 0,
+    requests: 0,
+    totalFailures: 0,
+    lastUsedAt: 0,
+    lastFailedAt: 0,
+    lastError: null,
+    lastProbeAt: 0,
+    cooldownUntil: 0,
+  }));
+  let cursor = 0;
+  /** @type {NodeJS.Timeout | null} */
+  let timer = null;
+
+  /**
+   * @param {PoolEntry[]} list
+   * @returns {PoolEntry}
+   */
+  const leastRecentlyFailed = (list) =>
+    list.reduce((best, item) =>
+      item.lastFailedAt < best.lastFailedAt || (item.lastFailedAt === best.lastFailedAt && item.lastUsedAt < best.lastUsedAt) ? item : best
+    );
+
+  /**
+   * 探测不可用且已过冷却期的代理
+   * @returns {Promise<void>}
+   */
+  const probeUnhealthy = async () => {
+    const now = Date.now();
+    await Promise.all(
+      entries
+        .filter((entry) => !entry.healthy && entry.cooldownUntil <= now)
+        .map(async (entry) => {
+          entry.lastProbeAt = Date.now();
+          try {
+            await probe(entry.proxy);
+            entry.healthy = true;
+            entry.failures = 0;
+            logger.info(`${entry.label} 已恢复`);
+          } catch (e) {
+            entry.lastError = e?.message || String(e);
+          }
+        })
+    );
+  };
+
+  return {
+    strategy,
+    size: entries.length,
+    /**
+     * 选取本次请求使用的代理，代理池为空时返回 null
+     * @returns {PoolEntry | null}
+     */
+    acquire() {
+      if (!entries.length) return null;
+      const healthy = entries.filter((entry) => entry.healthy);
+      let entry;
+      if (!healthy.length) {
+        entry = leastRecentlyFailed(entries);
+      } else if (strategy === 'least-failed') {
+        entry = leastRecentlyFailed(healthy);
+      } else {
+        entry = healthy[cursor % healthy.length];
+        cursor = (cursor + 1) % Number.MAX_SAFE_INTEGER;
+      }
+      entry.requests += 1;
+      entry.lastUsedAt = Date.now();
+      return entry;
+    },
+    /**
+     * @param {PoolEntry} entry
+     */
+    reportSuccess(entry) {
+      entry.failures = 0;
+    },
+    /**
+     * @param {PoolEntry} entry
+     * @param {string} reason
+     * @param {boolean} [immediate] 是否立即标记为不可用并进入冷却（如风控响应）
+     */
+    reportFailure(entry, reason, immediate = false) {
+      entry.failures += 1;
+      entry.totalFailures += 1;
+      entry.lastFailedAt = Date.now();
+      entry.lastError = reason;
+      if (immediate) entry.cooldownUntil = entry.lastFailedAt + cooldown;
+      if (entry.healthy && (immediate || entry.failures >= maxFails)) {
+        entry.healthy = false;
+        logger.warn(`${entry.label} 标记为不可用: ${reason}`);
+      }
+    },
+    probeUnhealthy,
+    /**
+     * 开始后台探测（不阻止进程退出）
+     */
+    start() {
+      if (timer || !entries.length) return;
+      timer = setInterval(() => {
+        probeUnhealthy().catch(() => {});
+      }, probeInterval);
+      timer.unref();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    /**
+     * 代理池状态，不包含代理的用户名密码
+     */
+    snapshot() {
+      return entries.map(({ proxy, ...entry }) => ({
+        ...entry,
+        lastUsedAt: entry.lastUsedAt ? new Date(entry.lastUsedAt) : null,
+        lastFailedAt: entry.lastFailedAt ? new Date(entry.lastFailedAt) : null,
+        lastProbeAt: entry.lastProbeAt ? new Date(entry.lastProbeAt) : null,
+        cooldownUntil: entry.cooldownUntil > Date.now() ? new Date(entry.cooldownUntil) : null,
+      }));
+    },
+  };
+}
+
+/**
+ * 读取以秒为单位的环境变量，返回毫秒，未配置或无效时返回 undefined
+ * @param {string} name
+ * @returns {number | undefined}
+ */
+const envSeconds = (name) => {
+  const value = process.env[name] ? Number(process.env[name]) : NaN;
+  return value >= 0 ? value * 1000 : undefined;
+};
+
+/** @type {{ raw: ProxyConfig[], pool: ReturnType<typeof createProxyPool> } | null} */
+let globalPool = null;
+
+/**
+ * 由 KUGOU_API_PROXY 创建的全局代理池，配置变化时重新创建
+ * 轮换策略、失败次数、探测间隔与风控冷却时长分别由 KUGOU_API_PROXY_STRATEGY、KUGOU_API_PROXY_MAX_FAILS、
+ * KUGOU_API_PROXY_PROBE_INTERVAL（秒）、KUGOU_API_PROXY_COOLDOWN（秒）配置
+ * @returns {ReturnType<typeof createProxyPool>}
+ */
+function getProxyPool() {
+  const proxies = resolveProxies();
+  if (!globalPool || globalPool.raw !== proxies) {
+    if (globalPool) globalPool.pool.stop();
+    const pool = createProxyPool(proxies, {
+      strategy: /** @type {PoolStrategy} */ (process.env.KUGOU_API_PROXY_STRATEGY),
+      maxFails: Number(process.env.KUGOU_API_PROXY_MAX_FAILS) || undefined,
+      probeInterval: envSeconds('KUGOU_API_PROXY_PROBE_INTERVAL'),
+      cooldown: envSeconds('KUGOU_API_PROXY_COOLDOWN'),
+    });
+    pool.start();
+    globalPool = { raw: proxies, pool };
+  }
+  return globalPool.pool;
+}
+
+/**
+ * 停止代理池的探测定时器并关闭代理连接，用于服务停止
+ */
+function stopProxyPool() {
+  if (globalPool) globalPool.pool.stop();
+  globalPool = null;
+  agentCache.forEach(({ httpAgent, httpsAgent }) => {
+    httpAgent.destroy();
+    if (httpsAgent !== httpAgent) httpsAgent.destroy();
+  });
+  agentCache.clear();
+}
+
+/**
+ * 启动自检：通过代理池中的每个代理获取出口 IP，并确认能否连通酷狗网关
+ * 未配置代理时不发起请求；可通过 KUGOU_API_PROXY_CHECK=false 关闭，KUGOU_API_PROXY_CHECK_URL 自定义出口 IP 查询地址
+ * @returns {Promise<Array<{ proxy: string, ip: string | null, gateway: boolean, error: string | null }>>}
+ */
+async function checkProxyEgress() {
+  const proxies = resolveProxies();
+
+  if (!proxies.length) {
+    logger.info('未配置代理，直连上游');
+    return [];
+  }
+  if (process.env.KUGOU_API_PROXY_CHECK === 'false') return [];
+
+  return Promise.all(
+    proxies.map(async (proxy) => {
+      const report = { proxy: proxyLabel(proxy), ip: null, gateway: false, error: null };
+      const [egress, gateway] = await Promise.allSettled([
+        axios({
+          url: process.env.KUGOU_API_PROXY_CHECK_URL || DEFAULT_EGRESS_CHECK_URL,
+          method: 'GET',
+          timeout: PROBE_TIMEOUT,
+          ...proxyRequestOptions(proxy),
+        }),
+        probeGateway(proxy),
+      ]);
+
+      if (egress.status === 'fulfilled') {
+        const data = egress.value.data;
+        report.ip = String(data && typeof data === 'object' ? data.ip : data).trim();
+      } else {
+        report.error = egress.reason?.message || String(egress.reason);
+      }
+      report.gateway = gateway.status === 'fulfilled';
+      if (gateway.status === 'rejected' && !report.error) report.error = gateway.reason?.message || String(gateway.reason);
+
+      if (report.ip) {
+        logger.info(`出口 IP: ${report.ip} (via ${report.proxy})`);
+      } else {
+        logger.warn(`无法通过 ${report.proxy} 获取出口 IP: ${report.error}`);
+      }
+      if (!report.gateway) logger.warn(`无法通过 ${report.proxy} 连接 gateway.kugou.com，请检查代理配置`);
+
+      return report;
+    })
+  );
+}
+
+module.exports = { proxyAgents, proxyRequestOptions, probeGateway, createProxyPool, getProxyPool, stopProxyPool, checkProxyEgress };
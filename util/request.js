@@ -2,13 +2,45 @@ const axios = require('axios');
 const { cryptoMd5 } = require('./crypto');
 const { signKey, signatureAndroidParams, signatureRegisterParams, signatureWebParams } = require('./helper');
 const { parseCookieString } = require('./util');
-const { appid, clientver, liteAppid, liteClientver } = require('./config.json');
-const { resolveProxy } = require('./runtime');
+const { platformConfig } = require('./platform');
+const { parseProxy } = require('./runtime');
+const { getProxyPool, proxyRequestOptions } = require('./proxy');
+const { classifyError, isRetryable } = require('./errors');
+const { withUpstreamLimit } = require('./limiter');
+const { recordUpstreamError } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Request');
+
+// 默认重试次数与退避基准时间（毫秒），可通过 KUGOU_API_RETRY / KUGOU_API_RETRY_DELAY 修改
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 300;
+const MAX_RETRY_DELAY = 5000;
 
 /**
  * @typedef {{status: number;body: any, cookie: string[], headers?: Record<string, string>}} UseAxiosResponse
  */
 
+/**
+ * 最大重试次数，GET 与声明为幂等的 POST 请求在网络错误或上游 5xx 时重试
+ * @returns {number}
+ */
+const maxRetries = () => {
+  const value = Number(process.env.KUGOU_API_RETRY);
+  return process.env.KUGOU_API_RETRY && value >= 0 ? value : DEFAULT_RETRIES;
+};
+
+/**
+ * 第 attempt 次重试前的等待时间：指数退避，并在 50%~100% 之间随机抖动，避免多个请求同时重试
+ * @param {number} attempt 从 1 开始
+ * @returns {number}
+ */
+const retryDelay = (attempt) => {
+  const base = Number(process.env.KUGOU_API_RETRY_DELAY) || DEFAULT_RETRY_DELAY;
+  const delay = Math.min(MAX_RETRY_DELAY, base * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
 /**
  * 请求创建
  * @param {Object} options
@@ -25,12 +57,14 @@ const { resolveProxy } = require('./runtime');
  * @param {boolean?} options.notSignature
  * @param {string?} options.ip
  * @param {string?} options.realIP
+ * @param {string?} options.proxy 本次请求使用的代理地址，未传入时从 KUGOU_API_PROXY 代理池中选取
+ * @param {boolean?} options.idempotent POST 请求是否可以安全重试（GET 请求默认重试）
  * @returns {Promise<UseAxiosResponse>}
  */
 
 const createRequest = (options) => {
   return new Promise(async (resolve, reject) => {
-    const isLite = process.env.platform === 'lite';
+    const { appid, clientver } = platformConfig();
     const dfid = options?.cookie?.dfid || '-'; // 自定义
     const mid = `${options?.cookie?.KUGOU_API_MID}`; //'334689572176563962868706300678062568191';
     const uuid = '-'; //cryptoMd5(`${dfid}${mid}`); // 可以自定义
@@ -49,8 +83,8 @@ const createRequest = (options) => {
       dfid,
       mid,
       uuid,
-      appid: isLite ? liteAppid : appid,
-      clientver: isLite ? liteClientver : clientver,
+      appid,
+      clientver,
       clienttime,
     };
 
@@ -101,10 +135,15 @@ const createRequest = (options) => {
       responseType: options.responseType,
     };
 
-    const proxyConfig = resolveProxy();
-    if (proxyConfig) {
-      requestOptions.proxy = proxyConfig;
+    let requestProxy = null;
+    try {
+      requestProxy = options?.proxy ? parseProxy(options.proxy) : null;
+    } catch (e) {
+      // 指定的代理无效时不回退到直连，避免从非预期的出口发出请求
+      reject({ status: 400, body: { status: 0, msg: `代理地址无效: ${e.message}`, error_class: 'business' }, cookie: [], headers: {} });
+      return;
     }
+    const pool = getProxyPool();
 
     if (options.data) requestOptions.data = options.data;
     if (params) requestOptions.params = params;
@@ -118,35 +157,89 @@ const createRequest = (options) => {
       requestOptions.params = {};
     }
 
+    // 未指定 method 时 axios 按 GET 请求
+    const retries = (options.method || 'GET').toUpperCase() === 'GET' || options?.idempotent ? maxRetries() : 0;
+    const upstreamHost = new URL(requestOptions.url, requestOptions.baseURL).host;
     const answer = { status: 500, body: {}, cookie: [], headers: {} };
-    try {
-      const response = await axios(requestOptions);
 
-      const body = response.data;
-
-      answer.cookie = (response.headers['set-cookie'] || []).map((x) => parseCookieString(x));
-
-      if (response.headers['ssa-code']) {
-        answer.headers['ssa-code'] = response.headers['ssa-code'];
-      }
+    for (let attempt = 0; ; attempt++) {
+      // 仅代理池中的代理参与健康统计，请求指定的代理不统计；每次重试重新从代理池选取
+      const poolEntry = requestProxy ? null : pool.acquire();
+      const proxyConfig = requestProxy || poolEntry?.proxy;
+      if (proxyConfig) Object.assign(requestOptions, proxyRequestOptions(proxyConfig));
 
       try {
-        answer.body = JSON.parse(body.toString());
-      } catch (error) {
-        answer.body = body;
-      }
-
-      if (response.data.status === 0 || (response.data?.error_code && response.data.error_code !== 0)) {
+        // 每次请求（包括重试）都受上游域名与用户的限流约束
+        const response = await withUpstreamLimit(upstreamHost, userid, () => axios(requestOptions));
+
+        const body = response.data;
+        logger.debug('上游请求', { method: requestOptions.method, host: upstreamHost, url: options.url, status: response.status });
+
+        answer.cookie = (response.headers['set-cookie'] || []).map((x) => parseCookieString(x));
+
+        if (response.headers['ssa-code']) {
+          answer.headers['ssa-code'] = response.headers['ssa-code'];
+        }
+
+        if (poolEntry) {
+          // 返回 ssa-code 表示触发了风控验证，该出口暂时不可用
+          if (response.headers['ssa-code']) pool.reportFailure(poolEntry, `ssa-code ${response.headers['ssa-code']}`, true);
+          else pool.reportSuccess(poolEntry);
+        }
+
+        try {
+          answer.body = JSON.parse(body.toString());
+        } catch (error) {
+          answer.body = body;
+        }
+
+        if (response.data.status === 0 || (response.data?.error_code && response.data.error_code !== 0)) {
+          answer.status = 502;
+          const errorClass = classifyError({ body: answer.body, headers: response.headers });
+          if (answer.body && typeof answer.body === 'object' && !Buffer.isBuffer(answer.body)) {
+            answer.body.error_class = errorClass;
+          }
+          recordUpstreamError(upstreamHost, response.data?.error_code ?? response.data?.errcode ?? 'status_0', errorClass);
+          reject(answer);
+        } else {
+          answer.status = 200;
+          resolve(answer);
+        }
+        return;
+      } catch (e) {
+        // 没有响应（连接失败、超时）或代理鉴权失败时计为代理失败，其余 HTTP 错误由上游返回，与代理无关
+        if (poolEntry && e?.isAxiosError) {
+          if (!e.response || e.response.status === 407) pool.reportFailure(poolEntry, e.code || e.message);
+          else pool.reportSuccess(poolEntry);
+        }
+
+        const errorClass = classifyError({ error: e, body: e?.response?.data });
+        if (errorClass === 'rate_limited') {
+          logger.warn('上游请求限流', { host: upstreamHost, url: options.url, reason: e.message });
+          answer.status = 503;
+          answer.body = { status: 0, msg: `上游请求限流: ${e.message}`, error_class: errorClass };
+          reject(answer);
+          return;
+        }
+        recordUpstreamError(upstreamHost, e?.response?.status ?? e?.code ?? 'unknown', errorClass);
+        if (isRetryable(errorClass) && attempt < retries) {
+          const delay = retryDelay(attempt + 1);
+          logger.warn(`${Math.round(delay)}ms 后第 ${attempt + 1} 次重试`, {
+            host: upstreamHost,
+            url: options.url,
+            class: errorClass,
+            error: e?.code || e?.message,
+          });
+          await new Promise((r) => setTimeout(r, delay));
+          continue;
+        }
+
+        logger.warn('上游请求失败', { host: upstreamHost, url: options.url, class: errorClass, error: e?.code || e?.message });
         answer.status = 502;
+        answer.body = { status: 0, msg: e, error_class: errorClass };
         reject(answer);
-      } else {
-        answer.status = 200;
-        resolve(answer);
+        return;
       }
-    } catch (e) {
-      answer.status = 502;
-      answer.body = { status: 0, msg: e };
-      reject(answer);
     }
   });
 };
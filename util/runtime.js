@@ -1,9 +1,10 @@
 const { URL } = require('node:url');
+const { createLogger } = require('./logger');
 
 /** @type {string | undefined} */
 let cachedProxyRaw;
-/** @type {import('axios').AxiosProxyConfig | null} */
-let cachedProxy;
+/** @type {ProxyConfig[]} */
+let cachedProxies = [];
 
 /**
  * Parse CLI arguments (only `--key=value` form).
@@ -33,7 +34,7 @@ function parseCliArgs(args) {
 }
 
 /**
- * Apply CLI overrides for known parameters (proxy/platform/port).
+ * Apply CLI overrides for known parameters (proxy/platform/port/workers).
  * @param {string[] | undefined} args
  */
 function applyCliOverrides(args) {
@@ -55,65 +56,102 @@ function applyCliOverrides(args) {
     process.env.KUGOU_API_DEV = parsed.dev;
   }
 
+  if (parsed.workers) {
+    process.env.KUGOU_API_WORKERS = parsed.workers;
+  }
+
   if (parsed.port) {
     const port = Number(parsed.port);
     if (!Number.isNaN(port) && port > 0) {
       process.env.PORT = String(port);
     } else {
-      console.warn(`[cli] Invalid port value "${parsed.port}", fallback to default.`);
+      createLogger('cli').warn(`Invalid port value "${parsed.port}", fallback to default.`);
     }
   }
 }
 
 /**
- * Resolve proxy configuration from environment variable.
- * Caches latest parsed result to avoid repeated parsing.
- * @returns {import('axios').AxiosProxyConfig | null}
+ * @typedef {{
+ *  url: string,
+ *  protocol: 'http' | 'https' | 'socks4' | 'socks4a' | 'socks5' | 'socks5h',
+ *  host: string,
+ *  port: number,
+ * }} ProxyConfig
  */
-function resolveProxy() {
-  const rawProxyEnv = typeof process.env.KUGOU_API_PROXY === 'string' ? process.env.KUGOU_API_PROXY.trim() : undefined;
-  const rawProxy = rawProxyEnv && rawProxyEnv.length > 0 ? rawProxyEnv : undefined;
 
-  if (!rawProxy) {
-    cachedProxyRaw = undefined;
-    cachedProxy = null;
-    return null;
-  }
+const PROXY_DEFAULT_PORTS = { http: 80, https: 443, socks4: 1080, socks4a: 1080, socks5: 1080, socks5h: 1080 };
 
-  if (cachedProxyRaw === rawProxy) {
-    return cachedProxy;
+/**
+ * Parse and validate a proxy URL.
+ * Throws when the address is malformed or uses an unsupported protocol.
+ * @param {string} rawProxy
+ * @returns {ProxyConfig}
+ */
+function parseProxy(rawProxy) {
+  const parsed = new URL(rawProxy);
+  const protocol = parsed.protocol.replace(':', '');
+  if (!(protocol in PROXY_DEFAULT_PORTS)) {
+    throw new Error(`Unsupported proxy protocol: ${parsed.protocol}`);
+  }
+  if (!parsed.hostname) {
+    throw new Error('Missing proxy host');
   }
 
-  cachedProxyRaw = rawProxy;
-  try {
-    const parsed = new URL(rawProxy);
-    if (!/^https?:$/.test(parsed.protocol)) {
-      console.warn(`[proxy] Unsupported proxy protocol: ${parsed.protocol}`);
-      cachedProxy = null;
-      return null;
-    }
+  return {
+    url: parsed.href,
+    protocol: /** @type {ProxyConfig['protocol']} */ (protocol),
+    host: parsed.hostname,
+    port: parsed.port ? Number(parsed.port) : PROXY_DEFAULT_PORTS[protocol],
+  };
+}
 
-    const proxyConfig = {
-      protocol: parsed.protocol.replace(':', ''),
-      host: parsed.hostname,
-      port: parsed.port ? Number(parsed.port) : parsed.protocol === 'https:' ? 443 : 80,
-    };
-
-    if (parsed.username || parsed.password) {
-      proxyConfig.auth = {
-        username: parsed.username,
-        password: parsed.password,
-      };
-    }
+/**
+ * Proxy address without credentials, safe for logs.
+ * @param {ProxyConfig} proxy
+ * @returns {string}
+ */
+function proxyLabel(proxy) {
+  return `${proxy.protocol}://${proxy.host}:${proxy.port}`;
+}
 
-    cachedProxy = proxyConfig;
-    console.info(`[proxy] Using proxy ${parsed.protocol}//${parsed.host}`);
-  } catch (error) {
-    console.warn(`[proxy] Failed to parse proxy address "${rawProxy}": ${error.message}`);
-    cachedProxy = null;
+/**
+ * Resolve proxy list from environment variable.
+ * `KUGOU_API_PROXY` accepts one or more addresses separated by commas or whitespace;
+ * invalid entries are skipped with a warning.
+ * Caches latest parsed result to avoid repeated parsing.
+ * @returns {ProxyConfig[]}
+ */
+function resolveProxies() {
+  const rawProxy = typeof process.env.KUGOU_API_PROXY === 'string' ? process.env.KUGOU_API_PROXY.trim() : '';
+
+  if (cachedProxyRaw === rawProxy) {
+    return cachedProxies;
   }
 
-  return cachedProxy;
+  cachedProxyRaw = rawProxy;
+  cachedProxies = [];
+  rawProxy
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .forEach((item) => {
+      try {
+        const proxy = parseProxy(item);
+        cachedProxies.push(proxy);
+        createLogger('proxy').info(`Using proxy ${proxyLabel(proxy)}`);
+      } catch (error) {
+        createLogger('proxy').warn(`Failed to parse proxy address "${item}": ${error.message}`);
+      }
+    });
+
+  return cachedProxies;
+}
+
+/**
+ * Resolve the first configured proxy.
+ * @returns {ProxyConfig | null}
+ */
+function resolveProxy() {
+  return resolveProxies()[0] || null;
 }
 
-module.exports = { applyCliOverrides, parseCliArgs, resolveProxy };
+module.exports = { applyCliOverrides, parseCliArgs, parseProxy, proxyLabel, resolveProxies, resolveProxy };
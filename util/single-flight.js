@@ -0,0 +1,65 @@
+const { cryptoMd5 } = require('./crypto');
+
+/**
+ * 合并并发的相同请求：同一 key 在第一个请求完成前，后续请求共享它的结果
+ * @typedef {{
+ *  run: <T>(key: string, fn: () => Promise<T>) => { shared: boolean, promise: Promise<T> },
+ *  size: () => number,
+ * }} SingleFlight
+ */
+
+/**
+ * 是否启用请求合并，可通过 KUGOU_API_SINGLE_FLIGHT=false 关闭
+ * @returns {boolean}
+ */
+const singleFlightEnabled = () => process.env.KUGOU_API_SINGLE_FLIGHT !== 'false';
+
+/**
+ * 按 key 排序后序列化，保证参数顺序不同的请求得到相同的 key
+ * @param {any} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * 请求合并 key：路由 + 参数 + 身份（身份由缓存策略的 vary 决定，与缓存 key 一致）
+ * @param {string} route
+ * @param {Record<string, any>} params 不含 cookie 的请求参数
+ * @param {string} identity cache-policy identityKey 的结果
+ * @returns {string}
+ */
+const singleFlightKey = (route, params, identity) => `${route}|${identity}|${cryptoMd5(stableStringify(params))}`;
+
+/**
+ * @returns {SingleFlight}
+ */
+function createSingleFlight() {
+  /** @type {Map<string, Promise<any>>} */
+  const inflight = new Map();
+
+  return {
+    run(key, fn) {
+      const pending = inflight.get(key);
+      if (pending) return { shared: true, promise: pending };
+
+      const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => inflight.delete(key));
+      inflight.set(key, promise);
+      return { shared: false, promise };
+    },
+    size: () => inflight.size,
+  };
+}
+
+module.exports = { createSingleFlight, singleFlightEnabled, singleFlightKey, stableStringify };
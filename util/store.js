@@ -0,0 +1,424 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('Store');
+
+/**
+ * @typedef {{ userid: string | number, token: string, platform?: import('./platform').Platform, savedAt: string | Date, [key: string]: any }} LoginRecord
+ */
+
+/**
+ * @typedef {{ time: string, createdAt: string | Date }} CronRecord
+ */
+
+/**
+ * @typedef {import('./checkin').CheckInResult & { id: string, trigger: 'cron' | 'manual' }} RunRecord
+ */
+
+/**
+ * @typedef {{
+ *  version: number,
+ *  logins: Record<string, LoginRecord>,
+ *  crons: Record<string, CronRecord>,
+ *  history: Record<string, RunRecord[]>,
+ *  apiKeys?: Record<string, import('./access').ApiKeyRecord>,
+ * }} StoreSnapshot
+ */
+
+/**
+ * apply / subscribe 用于由其他进程维护状态的后端（如集群模式下的主进程）：写入时只发送修改操作，
+ * 由对方执行后推送最新状态，此时 read 与推送的状态均为未加密的数据
+ * @typedef {{
+ *  name: string,
+ *  read: () => Promise<StoreSnapshot | null>,
+ *  write: (data: StoreSnapshot) => Promise<void>,
+ *  apply?: (op: string, args: any[]) => Promise<void>,
+ *  subscribe?: (listener: (data: StoreSnapshot) => void) => void,
+ * }} StoreBackend
+ */
+
+const STORE_VERSION = 1;
+const ENCRYPTED_PREFIX = 'enc:v1:';
+// 每个账户默认保留的执行记录条数
+const DEFAULT_HISTORY_LIMIT = 30;
+
+/** @type {Record<string, (options: Record<string, any>) => StoreBackend>} */
+const backends = {
+  memory: createMemoryBackend,
+  json: createJsonFileBackend,
+};
+
+/**
+ * 内存存储（进程退出即丢失）
+ * @returns {StoreBackend}
+ */
+function createMemoryBackend() {
+  /** @type {StoreSnapshot | null} */
+  let snapshot = null;
+  return {
+    name: 'memory',
+    read: async () => (snapshot ? JSON.parse(JSON.stringify(snapshot)) : null),
+    write: async (data) => {
+      snapshot = JSON.parse(JSON.stringify(data));
+    },
+  };
+}
+
+/**
+ * JSON 文件存储，写入时先写临时文件再重命名，避免进程中断导致文件损坏
+ * @param {{ filePath?: string }} options
+ * @returns {StoreBackend}
+ */
+function createJsonFileBackend(options) {
+  const filePath = options.filePath || path.join(process.cwd(), 'data', 'store.json');
+  return {
+    name: 'json',
+    read: async () => {
+      try {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return content.trim() ? JSON.parse(content) : null;
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    write: async (data) => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+      await fs.promises.rename(tmpPath, filePath);
+    },
+  };
+}
+
+/**
+ * 注册自定义存储后端
+ * @param {string} name 后端名称，对应 KUGOU_API_STORE
+ * @param {(options: Record<string, any>) => StoreBackend} factory
+ */
+function registerStoreBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * token 加解密，使用 AES-256-GCM，密钥由 secret 经 sha256 派生
+ * 未配置 secret 时原样存储
+ * @param {string | undefined} secret
+ */
+function createTokenCipher(secret) {
+  const key = secret ? crypto.createHash('sha256').update(secret).digest() : null;
+
+  return {
+    enabled: !!key,
+    /**
+     * @param {string} value
+     * @returns {string}
+     */
+    encrypt(value) {
+      if (!key || typeof value !== 'string' || !value) return value;
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+      return `${ENCRYPTED_PREFIX}${Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')}`;
+    },
+    /**
+     * @param {string} value
+     * @returns {string}
+     */
+    decrypt(value) {
+      if (typeof value !== 'string' || !value.startsWith(ENCRYPTED_PREFIX)) return value;
+      if (!key) throw new Error('token 已加密，但未配置 KUGOU_API_STORE_SECRET');
+      const buffer = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+      decipher.setAuthTag(buffer.subarray(12, 28));
+      return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]).toString('utf8');
+    },
+  };
+}
+
+/**
+ * 创建登录信息存储
+ * 读取均为同步（内存快照），写入异步落盘并按顺序执行
+ * @param {{ backend?: string, filePath?: string, secret?: string, historyLimit?: number }} [options]
+ */
+function createLoginStore(options = {}) {
+  const backendName = options.backend || process.env.KUGOU_API_STORE || 'json';
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`[Store] Unknown store backend "${backendName}"`);
+  }
+
+  const backend = factory({ filePath: options.filePath || process.env.KUGOU_API_STORE_PATH || undefined });
+  const cipher = createTokenCipher(options.secret ?? process.env.KUGOU_API_STORE_SECRET);
+  const historyLimit = options.historyLimit || Number(process.env.KUGOU_API_CRON_HISTORY_LIMIT) || DEFAULT_HISTORY_LIMIT;
+
+  /** @type {StoreSnapshot} */
+  let state = { version: STORE_VERSION, logins: {}, crons: {}, history: {}, apiKeys: {} };
+  /** @type {Promise<void> | null} */
+  let loading = null;
+  let pending = Promise.resolve();
+  // 已发送但未确认的修改操作数，期间收到的推送状态可能尚未包含本进程的修改，等确认后再应用
+  let unconfirmed = 0;
+  /** @type {StoreSnapshot | null} */
+  let deferredState = null;
+  // 无法解密的账户保留原始（加密的）记录，写入时原样写回，避免更换密钥等情况下丢失数据
+  /** @type {Record<string, LoginRecord>} */
+  let lockedLogins = {};
+  // 读取存储失败时不再写入，避免以空状态覆盖原有数据
+  let readFailed = false;
+  /** @type {Set<() => void>} */
+  const listeners = new Set();
+
+  if (!cipher.enabled && backend.name !== 'memory' && !backend.apply) {
+    logger.warn('KUGOU_API_STORE_SECRET 未配置，token 将以明文保存');
+  }
+
+  /**
+   * 解密并替换当前状态
+   * @param {StoreSnapshot} data
+   * @returns {number} 账户数
+   */
+  const replaceState = (data) => {
+    const logins = {};
+    lockedLogins = {};
+    Object.values(data.logins || {}).forEach((item) => {
+      try {
+        logins[item.userid] = { ...item, token: cipher.decrypt(item.token) };
+      } catch (e) {
+        lockedLogins[item.userid] = item;
+        logger.warn(`无法解密 userid=${item.userid} 的 token，将保留原记录: ${e.message}`);
+      }
+    });
+    state = {
+      version: STORE_VERSION,
+      logins,
+      crons: { ...(data.crons || {}) },
+      history: { ...(data.history || {}) },
+      apiKeys: { ...(data.apiKeys || {}) },
+    };
+    return Object.keys(logins).length;
+  };
+
+  /**
+   * 从后端读取并解密
+   * @returns {Promise<void>}
+   */
+  const load = () => {
+    if (!loading) {
+      loading = backend
+        .read()
+        .then((data) => {
+          if (!data) return;
+          logger.info(`已从 ${backend.name} 存储加载 ${replaceState(data)} 个账户`);
+        })
+        .catch((e) => {
+          readFailed = true;
+          logger.error(`读取存储失败，为避免覆盖原有数据将不再写入，请修复后重启: ${e.message}`);
+        });
+      backend.subscribe?.(onRemoteState);
+    }
+    return loading;
+  };
+
+  /**
+   * 应用其他进程推送的最新状态
+   * @param {StoreSnapshot} data
+   */
+  function onRemoteState(data) {
+    if (unconfirmed > 0) {
+      deferredState = data;
+      return;
+    }
+    replaceState(data);
+    listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * 加密后写入后端
+   * @returns {Promise<void>}
+   */
+  const persist = () => {
+    if (readFailed) {
+      logger.error('读取存储失败，本次修改未写入');
+      return pending;
+    }
+    const logins = { ...lockedLogins };
+    Object.values(state.logins).forEach((item) => {
+      logins[item.userid] = { ...item, token: cipher.encrypt(item.token) };
+    });
+    const snapshot = { version: STORE_VERSION, logins, crons: { ...state.crons }, history: { ...state.history }, apiKeys: { ...state.apiKeys } };
+    pending = pending
+      .then(() => backend.write(snapshot))
+      .catch((e) => {
+        logger.error(`写入存储失败: ${e.message}`);
+      });
+    return pending;
+  };
+
+  /**
+   * 修改操作，按名称执行以便转发给维护状态的进程
+   * @type {Record<string, (...args: any[]) => void>}
+   */
+  const mutations = {
+    saveLogin: (record) => {
+      state.logins[record.userid] = { ...record, savedAt: record.savedAt || new Date() };
+      delete lockedLogins[record.userid];
+    },
+    deleteLogin: (userid) => {
+      delete state.logins[userid];
+      delete lockedLogins[userid];
+      delete state.crons[userid];
+      delete state.history[userid];
+    },
+    clearLogins: () => {
+      state.logins = {};
+      lockedLogins = {};
+      state.crons = {};
+      state.history = {};
+    },
+    saveCron: (userid, time) => {
+      state.crons[userid] = { time, createdAt: new Date() };
+    },
+    deleteCron: (userid) => {
+      delete state.crons[userid];
+    },
+    addHistory: (userid, record) => {
+      state.history[userid] = [record, ...(state.history[userid] || [])].slice(0, historyLimit);
+    },
+    saveApiKey: (record) => {
+      state.apiKeys = { ...state.apiKeys, [record.id]: record };
+    },
+    deleteApiKey: (id) => {
+      delete state.apiKeys?.[id];
+    },
+  };
+
+  /**
+   * 修改内存中的状态并写入后端；后端维护状态时只发送修改操作
+   * @param {string} op
+   * @param {any[]} args
+   * @returns {Promise<void>}
+   */
+  const commit = (op, args) => {
+    if (!mutations[op]) return Promise.reject(new Error(`[Store] Unknown operation "${op}"`));
+    mutations[op](...args);
+    if (!backend.apply) return persist();
+
+    const apply = backend.apply;
+    unconfirmed++;
+    pending = pending
+      .then(() => apply(op, args))
+      .catch((e) => {
+        logger.error(`写入存储失败: ${e.message}`);
+      })
+      .finally(() => {
+        unconfirmed--;
+        if (unconfirmed === 0 && deferredState) {
+          const data = deferredState;
+          deferredState = null;
+          onRemoteState(data);
+        }
+      });
+    return pending;
+  };
+
+  return {
+    backend: backend.name,
+    encrypted: cipher.enabled,
+    load,
+    /**
+     * 等待所有写入完成
+     * @returns {Promise<void>}
+     */
+    flush: () => pending,
+    /**
+     * 按名称执行修改操作，供集群主进程执行 worker 转发的修改
+     * @param {string} op
+     * @param {any[]} args
+     * @returns {Promise<void>}
+     */
+    apply: (op, args) => commit(op, args),
+    /**
+     * 当前状态的副本（token 未加密）
+     * @returns {StoreSnapshot}
+     */
+    snapshot: () => JSON.parse(JSON.stringify(state)),
+    /**
+     * 监听其他进程推送的状态变化
+     * @param {() => void} listener
+     * @returns {() => void} 取消监听
+     */
+    onChange: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    /**
+     * @param {string | number} userid
+     * @returns {LoginRecord | undefined}
+     */
+    getLogin: (userid) => state.logins[userid],
+    /**
+     * @returns {LoginRecord[]}
+     */
+    listLogins: () => Object.values(state.logins),
+    /**
+     * @param {LoginRecord} record
+     */
+    saveLogin: (record) => commit('saveLogin', [record]),
+    /**
+     * @param {string | number} userid
+     */
+    deleteLogin: (userid) => commit('deleteLogin', [userid]),
+    clearLogins: () => commit('clearLogins', []),
+    /**
+     * @param {string | number} userid
+     * @returns {CronRecord | undefined}
+     */
+    getCron: (userid) => state.crons[userid],
+    /**
+     * @returns {Record<string, CronRecord>}
+     */
+    listCrons: () => ({ ...state.crons }),
+    /**
+     * @param {string | number} userid
+     * @param {string} time cron 表达式
+     */
+    saveCron: (userid, time) => commit('saveCron', [userid, time]),
+    /**
+     * @param {string | number} userid
+     */
+    deleteCron: (userid) => commit('deleteCron', [userid]),
+    /**
+     * 记录一次签到执行结果，超出条数限制时丢弃最早的记录
+     * @param {string | number} userid
+     * @param {RunRecord} record
+     */
+    addHistory: (userid, record) => commit('addHistory', [userid, record]),
+    /**
+     * 获取执行记录，最新的在前
+     * @param {string | number} userid
+     * @returns {RunRecord[]}
+     */
+    listHistory: (userid) => state.history[userid] || [],
+    /**
+     * @returns {Record<string, RunRecord[]>}
+     */
+    listAllHistory: () => ({ ...state.history }),
+    /**
+     * @returns {import('./access').ApiKeyRecord[]}
+     */
+    listApiKeys: () => Object.values(state.apiKeys || {}),
+    /**
+     * @param {import('./access').ApiKeyRecord} record
+     */
+    saveApiKey: (record) => commit('saveApiKey', [record]),
+    /**
+     * @param {string} id
+     */
+    deleteApiKey: (id) => commit('deleteApiKey', [id]),
+  };
+}
+
+module.exports = { createLoginStore, createTokenCipher, registerStoreBackend };
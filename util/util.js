@@ -1,4 +1,9 @@
 const pako = require('pako');
+const { stringifyKrc } = require('./lyric');
+
+// krc 文件头与异或密钥
+const KRC_HEADER = 'krc1';
+const KRC_KEY = [64, 71, 97, 119, 94, 50, 116, 71, 81, 54, 49, 45, 206, 210, 110, 105];
 
 /**
  * 随机字符串
@@ -68,11 +73,10 @@ const decodeLyrics = (val) => {
   if (Buffer.isBuffer(val)) bytes = new Uint8Array(val);
   if (typeof val === 'string') bytes = new Uint8Array(Buffer.from(val, 'base64'));
   if (bytes === null) return '';
-  const enKey = [64, 71, 97, 119, 94, 50, 116, 71, 81, 54, 49, 45, 206, 210, 110, 105];
   const krcBytes = bytes.slice(4);
   const len = krcBytes.byteLength;
   for (let index = 0; index < len; index += 1) {
-    krcBytes[index] = krcBytes[index] ^ enKey[index % enKey.length];
+    krcBytes[index] = krcBytes[index] ^ KRC_KEY[index % KRC_KEY.length];
   }
   try {
     const inflate = pako.inflate(krcBytes);
@@ -82,8 +86,26 @@ const decodeLyrics = (val) => {
   }
 };
 
+/**
+ * krc编码，decodeLyrics 的逆操作
+ * @param {string | import('./lyric').ParsedLyric} val KRC 文本，或 parseKrc 解析后的结构
+ * @param {'base64' | 'buffer'} [type] 返回 base64 字符串（默认）或 Buffer
+ * @returns {string | Buffer}
+ */
+const encodeLyrics = (val, type = 'base64') => {
+  const text = typeof val === 'string' ? val : stringifyKrc(val);
+  const krcBytes = pako.deflate(Buffer.from(text, 'utf8'));
+  const len = krcBytes.byteLength;
+  for (let index = 0; index < len; index += 1) {
+    krcBytes[index] = krcBytes[index] ^ KRC_KEY[index % KRC_KEY.length];
+  }
+  const buffer = Buffer.concat([Buffer.from(KRC_HEADER), krcBytes]);
+  return type === 'buffer' ? buffer : buffer.toString('base64');
+};
+
 module.exports = {
   decodeLyrics,
+  encodeLyrics,
   cookieToJson,
   parseCookieString,
   randomString,